@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS, OPTION_SPECS, validateCommand, getOptionNames, getDefaultOptions, resolveOptions } = require('./lib/options');
+
+// Exit codes: 0 done, 1 the conversion failed, 2 bad command line, config or options.
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// `inputs` is the [least, most] number of input files a command takes.
+const COMMAND_USAGE = {
+    index: { args: '', inputs: [0, 0], summary: 'Analyze block_texture_map.json and the atlases into the texture index.' },
+    convert: { args: ' <image>', inputs: [1, 1], summary: 'Turn a still image into a preview PNG, blueprint, draw script and bill of materials.' },
+    animate: { args: ' <input>', inputs: [1, 1], summary: 'Turn a GIF, animated WebP/PNG, video (needs ffmpeg), or a folder or pattern ("frames/*.png") of frames into a preview GIF, movie script, first-frame draw script and bill of materials.' },
+    simulate: { args: ' <script...>', inputs: [1, Infinity], summary: 'Run generated scripts (draw, movie) in a stand-in for the game: world code, api and ticks. Reports blocks per tick and ticks taken, and renders what was built.' },
+    stats: { args: ' <blueprint>', inputs: [1, 1], summary: 'Print the size, block counts and origin of a blueprint (<base>.json).' },
+    preview: { args: ' <blueprint>', inputs: [1, 1], summary: 'Render a blueprint to a PNG with the atlas textures.' },
+    diff: { args: ' <old> <new>', inputs: [2, 2], summary: 'Compare two blueprints: cells to change, block substitutions (CSV) and a heat map PNG.' },
+};
+
+const toFlag = (name) => '--' + name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+const toOptionName = (flag) => flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+function formatUsage(command) {
+    const lines = [];
+    if (!command) {
+        lines.push('Usage: node cli.js <command> [options]', '', 'Commands:');
+        const columnWidth = Math.max(...COMMANDS.map(name => name.length + COMMAND_USAGE[name].args.length));
+        for (const name of COMMANDS) lines.push(`  ${(name + COMMAND_USAGE[name].args).padEnd(columnWidth)}  ${COMMAND_USAGE[name].summary}`);
+        lines.push('', 'Run "node cli.js <command> --help" for the options of a command.');
+        return lines.join('\n');
+    }
+
+    const defaults = getDefaultOptions(command);
+    lines.push(`Usage: node cli.js ${command}${COMMAND_USAGE[command].args} [options]`, '', COMMAND_USAGE[command].summary, '', 'Options:');
+    lines.push('  --config <file>', '      JSON file, or a .js module exporting an object, with options by name (outputWidth, blockFilter, ...). Flags override it.');
+    for (const name of getOptionNames(command)) {
+        const spec = OPTION_SPECS[name];
+        const value = spec.type === 'boolean' ? '' : ` <${[spec.type, ...(spec.keywords || []), ...(spec.nullable ? ['null'] : [])].join('|')}>`;
+        lines.push(`  ${toFlag(name)}${value}`, `      ${spec.description} (default: ${JSON.stringify(defaults[name])})`);
+    }
+    lines.push(
+        '',
+        'Booleans take --flag, --no-flag, --flag true|false or --flag=true|false. Vectors are x,y,z.',
+        'Object options take JSON (--preprocess \'{"fit":"fill"}\') or one key at a time',
+        '(--preprocess.brightness=1.2, --block-filter.include-categories=wool,concrete).',
+        'In lists, numbers are block IDs and /pattern/flags are regular expressions.',
+    );
+    return lines.join('\n');
+}
+
+function parseListItem(text) {
+    if (/^\d+$/.test(text)) return Number(text);
+    const regExp = /^\/(.*)\/([a-z]*)$/.exec(text);
+    return regExp ? new RegExp(regExp[1], regExp[2]) : text;
+}
+
+function parseJson(flag, text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${flag} expects JSON, got ${JSON.stringify(text)}.`);
+    }
+}
+
+function parseOptionValue(flag, spec, text) {
+    if (text === 'null' && spec.nullable) return null;
+    if (spec.keywords && spec.keywords.includes(text)) return text;
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(text);
+            if (text.trim() === '' || Number.isNaN(value)) throw new Error(`${flag} expects a number, got ${JSON.stringify(text)}.`);
+            return value;
+        }
+        case 'boolean':
+            if (text !== 'true' && text !== 'false') throw new Error(`${flag} expects true or false, got ${JSON.stringify(text)}.`);
+            return text === 'true';
+        case 'vector':
+            return text.split(',').map(Number);
+        case 'object':
+            return parseJson(flag, text);
+        default:
+            return text;
+    }
+}
+
+// One key of an object option: lists for `lists` options, otherwise JSON or a string.
+function parseNestedValue(spec, text) {
+    if (spec.lists) return text === '' ? [] : text.split(',').map(parseListItem);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function loadConfigFile(configFile) {
+    const fullPath = path.resolve(configFile);
+    if (!fs.existsSync(fullPath)) throw new Error(`Config file not found: ${configFile}`);
+    const config = /\.c?js$/.test(fullPath) ? require(fullPath) : parseJson('--config', fs.readFileSync(fullPath, 'utf-8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error(`Config file ${configFile} must hold an object of options.`);
+    return config;
+}
+
+// Returns { command, inputs, overrides, help }. Flags are applied over the config
+// file, whatever their order on the command line.
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === '--help' || command === '-h') return { command: null, inputs: [], overrides: {}, help: true };
+    validateCommand(command);
+
+    const names = getOptionNames(command);
+    const inputs = [];
+    const flags = [];
+    let configFile = null;
+    let help = false;
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            if (arg === '-h') help = true;
+            else inputs.push(arg);
+            continue;
+        }
+        const equals = arg.indexOf('=');
+        const flag = equals >= 0 ? arg.slice(0, equals) : arg;
+        let text = equals >= 0 ? arg.slice(equals + 1) : null;
+        if (flag === '--help') { help = true; continue; }
+
+        const [flagName, ...keyPath] = flag.slice(2).split('.');
+        const negated = flagName.startsWith('no-') && keyPath.length === 0;
+        const name = toOptionName(negated ? flagName.slice(3) : flagName);
+        if (name !== 'config' && !names.includes(name)) {
+            throw new Error(`Unknown option ${flag} for "${command}". Run "node cli.js ${command} --help" for the list.`);
+        }
+        const spec = OPTION_SPECS[name];
+
+        if (negated || (spec && spec.type === 'boolean' && keyPath.length === 0 && text === null)) {
+            if (!spec || spec.type !== 'boolean') throw new Error(`${flag} is not a boolean option.`);
+            if (negated && text !== null) throw new Error(`${flag} takes no value.`);
+            // Like every other option, a boolean can take its value as the next word.
+            const next = rest[i + 1];
+            if (next === 'true' || next === 'false') {
+                if (negated) throw new Error(`${flag} takes no value; use ${toFlag(name)} ${next}.`);
+                flags.push({ name, value: rest[++i] === 'true' });
+                continue;
+            }
+            flags.push({ name, value: !negated });
+            continue;
+        }
+        if (text === null) {
+            if (i + 1 >= rest.length) throw new Error(`${flag} needs a value.`);
+            text = rest[++i];
+        }
+
+        if (name === 'config') {
+            configFile = text;
+        } else if (keyPath.length > 0) {
+            if (spec.type !== 'object') throw new Error(`${flagName} has no keys; use ${toFlag(name)}.`);
+            flags.push({ name, key: toOptionName(keyPath.join('.')), value: parseNestedValue(spec, text) });
+        } else {
+            flags.push({ name, value: parseOptionValue(flag, spec, text) });
+        }
+    }
+
+    const overrides = configFile ? { ...loadConfigFile(configFile) } : {};
+    const defaults = getDefaultOptions(command);
+    for (const { name, key, value } of flags) {
+        if (key === undefined) {
+            overrides[name] = value;
+        } else {
+            overrides[name] = { ...(overrides[name] ?? defaults[name]), [key]: value };
+        }
+    }
+    return { command, inputs, overrides, help };
+}
+
+async function run(argv) {
+    let parsed, options;
+    try {
+        parsed = parseArgs(argv);
+        if (parsed.help) {
+            console.log(formatUsage(parsed.command));
+            return EXIT_OK;
+        }
+        const [fewestInputs, mostInputs] = COMMAND_USAGE[parsed.command].inputs;
+        if (parsed.inputs.length < fewestInputs || parsed.inputs.length > mostInputs) {
+            const got = parsed.inputs.length === 0 ? 'none' : parsed.inputs.join(' ');
+            if (mostInputs === 0) throw new Error(`"${parsed.command}" takes no input file, got ${got}.`);
+            const expected = fewestInputs === mostInputs ? (mostInputs === 1 ? 'one input file' : `${mostInputs} input files`) : 'one or more input files';
+            throw new Error(`"${parsed.command}" takes ${expected}, got ${got}.`);
+        }
+        for (const input of parsed.inputs) {
+            // Animations can also be a pattern of frame files, checked when it is expanded.
+            const isPattern = parsed.command === 'animate' && /[*?]/.test(path.basename(input));
+            if (!isPattern && !fs.existsSync(input)) throw new Error(`Input file not found: ${input}`);
+        }
+        options = resolveOptions(parsed.command, parsed.overrides);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(COMMANDS.includes(argv[0]) ? `Run "node cli.js ${argv[0]} --help" for usage.` : formatUsage(null));
+        return EXIT_USAGE;
+    }
+
+    try {
+        // Loaded here so that --help and option errors don't wait for image libraries.
+        const core = require('./lib/core');
+        if (parsed.command === 'index') {
+            await core.buildTextureIndex(options);
+        } else if (parsed.command === 'convert') {
+            const { outputs } = await core.convertImage(parsed.inputs[0], options);
+            console.log(`\nSuccess! Outputs saved:`);
+            for (const [kind, file] of Object.entries(outputs)) console.log(`  - ${kind}: "${file}"`);
+        } else if (parsed.command === 'animate') {
+            const { outputs } = await core.convertAnimation(parsed.inputs[0], options);
+            console.log(`\n\nSuccess! Processing complete.`);
+            for (const [kind, file] of Object.entries(outputs)) console.log(`  - ${kind}: "${file}"`);
+        } else if (parsed.command === 'simulate') {
+            // Blocks the game doesn't know would fail in game, so they fail here too.
+            const { stats } = await core.simulateScripts(parsed.inputs, options);
+            if (Object.keys(stats.unknownBlocks).length > 0) return EXIT_FAILED;
+        } else if (parsed.command === 'stats') {
+            await core.printBlueprintStats(parsed.inputs[0], options);
+        } else if (parsed.command === 'preview') {
+            await core.previewBlueprint(parsed.inputs[0], options);
+        } else {
+            await core.compareBlueprints(parsed.inputs[0], parsed.inputs[1], options);
+        }
+        return EXIT_OK;
+    } catch (error) {
+        console.error('\nAn unrecoverable error occurred:', error.stack || error);
+        return EXIT_FAILED;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_FAILED,
+    EXIT_USAGE,
+    parseArgs,
+    run,
+};
@@ -0,0 +1,41 @@
+// How much of a source pixel is there: 'air' (nothing is placed), 'translucent'
+// (only textures with see-through pixels) or 'opaque'. Either threshold can be null.
+function classifyAlpha(alpha, alphaThreshold, translucentBelow) {
+    if (alphaThreshold !== null && alpha < alphaThreshold) return 'air';
+    if (translucentBelow !== null && alpha < translucentBelow) return 'translucent';
+    return 'opaque';
+}
+
+function validateAlphaOptions(alphaThreshold, translucentBelow) {
+    for (const [name, value] of [['alphaThreshold', alphaThreshold], ['translucentBelow', translucentBelow]]) {
+        if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 256)) {
+            throw new Error(`${name} must be null or an integer from 0 to 256, got ${JSON.stringify(value)}.`);
+        }
+    }
+    if (alphaThreshold !== null && translucentBelow !== null && translucentBelow <= alphaThreshold) {
+        throw new Error(`translucentBelow (${translucentBelow}) must be above alphaThreshold (${alphaThreshold}).`);
+    }
+}
+
+// GIF frames have no alpha channel, only one palette entry that is see-through:
+// paint every mostly transparent pixel with `keyColor`, so that entry is not shared
+// with a visible color, and make it fully transparent.
+function keyOutTransparency(data, keyColor) {
+    const r = (keyColor >> 16) & 0xFF, g = (keyColor >> 8) & 0xFF, b = keyColor & 0xFF;
+    let keyed = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= 128) continue;
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 0;
+        keyed++;
+    }
+    return keyed;
+}
+
+module.exports = {
+    classifyAlpha,
+    validateAlphaOptions,
+    keyOutTransparency,
+};
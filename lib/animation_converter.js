@@ -0,0 +1,528 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Jimp, intToRGBA } = require('jimp');
+const GIFEncoder = require('gif-encoder-2');
+const { colorDistance, toMatchColor } = require('./color');
+const { createDitherer, isErrorDiffusionMode } = require('./dither');
+const { readPatch, preparePatch, prepareDetailCandidates, rankDetailMatches } = require('./detail');
+const { buildColorIndex } = require('./color_index');
+const { createPaletteHistograms, addBitmapToPaletteHistograms, reduceSplitPalette, describePaletteReduction } = require('./palette_reduction');
+const { countBlocks, mergeMaxCounts } = require('./materials');
+const { classifyAlpha, keyOutTransparency } = require('./alpha');
+const { openFrameSource, isFramePattern } = require('./frame_source');
+const { generateMovieScript } = require('./playback_script');
+const { createBlockPalette } = require('./blueprint');
+const { createDeltaEncoder } = require('./delta');
+const { MS_PER_TICK, buildTimeline } = require('./timing');
+const { createSceneTracker } = require('./scene_cuts');
+const { prepareSource, resampleSource } = require('./preprocess');
+const { resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+const { loadTextureIndex, prepareCandidates } = require('./candidates');
+const { getOutputBase, getConfiguredPlacement, generateBlueprintFiles, writeBillOfMaterials } = require('./outputs');
+
+const DETAIL_HYSTERESIS_ALTERNATIVES = 8;
+const GIF_TRANSPARENT_KEY = 0xFF00FF;
+const WORKER_FILE = path.join(__dirname, 'animation_worker.js');
+
+function buildCandidateSet(candidates, translucentCandidates, options) {
+    const colorIndex = buildColorIndex(candidates, options.colorMetric);
+    const translucentIndex = translucentCandidates.length > 0 ? buildColorIndex(translucentCandidates, options.colorMetric) : null;
+    const candidatesById = new Map([...candidates, ...translucentCandidates].map(c => [c.textureInfo.textureId, c]));
+    return { candidates, translucentCandidates, colorIndex, translucentIndex, candidatesById };
+}
+
+// Loads the index and prepares candidates as the main thread and every worker need
+// them. With a `palette` ({ candidates, translucentCandidates } as texture IDs, see
+// getPaletteTextureIds), candidates are limited to it.
+async function loadCandidateSet(options, palette = null, log = console.log) {
+    const textureData = await loadTextureIndex(options.indexFile);
+    const textureLoader = createTextureLoader(options.texturesDir, options.textureSize);
+    const { texturePalette, candidates, translucentCandidates } = await prepareCandidates(textureData, options, textureLoader, log);
+    let candidateSet = buildCandidateSet(candidates, translucentCandidates, options);
+    if (palette) {
+        const byId = (ids) => ids.map(id => candidateSet.candidatesById.get(id));
+        candidateSet = buildCandidateSet(byId(palette.candidates), byId(palette.translucentCandidates), options);
+    }
+    if (options.matchMode === 'detail') {
+        await prepareDetailCandidates(candidateSet.candidates, textureLoader.getTextureImage, options.textureSize);
+    }
+    return { textureData, texturePalette, candidateSet };
+}
+
+// Samples what matchFrame will see.
+function addFrameToHistograms(histograms, preparedFrame, options) {
+    return addBitmapToPaletteHistograms(histograms, preparedFrame.blueprint.bitmap.data, options.alphaThreshold, options.translucentBelow);
+}
+
+function limitPalette(histograms, candidateSet, options) {
+    console.log(`Choosing a ${options.paletteSize}-block palette...`);
+    const { candidates, translucentCandidates } = candidateSet;
+    const reduction = reduceSplitPalette(histograms, candidates, translucentCandidates, options.paletteSize, options.colorMetric, { iterations: options.paletteRefineIterations });
+    console.log(`Palette limited to ${describePaletteReduction(reduction)}: mean color error ${reduction.meanError.toFixed(2)} (${reduction.fullError.toFixed(2)} with all ${candidates.length + translucentCandidates.length}).`);
+    return buildCandidateSet(reduction.candidates, reduction.translucentCandidates, options);
+}
+
+function getPaletteTextureIds(candidateSet) {
+    const ids = (candidates) => candidates.map(candidate => candidate.textureInfo.textureId);
+    return { candidates: ids(candidateSet.candidates), translucentCandidates: ids(candidateSet.translucentCandidates) };
+}
+
+// Crops, adjusts and scales a frame ({ width, height, data }) to one pixel per block,
+// plus textureSize pixels per block for detail matching.
+async function prepareFrame(frame, options) {
+    const source = await prepareSource(frame, options.outputWidth, options.outputHeight, options.preprocess);
+    const sampling = { resample: options.resample, linearLight: options.linearLightAveraging };
+    const blueprint = Jimp.fromBitmap(await resampleSource(source, sampling));
+    const detailSource = options.matchMode === 'detail'
+        ? Jimp.fromBitmap(await resampleSource(source, { ...sampling, scale: options.textureSize }))
+        : null;
+    return { blueprint, detailSource };
+}
+
+// Finds the best texture for every block of one frame, ignoring the previous frame.
+// This is the expensive, independent part, so it is what the worker threads run.
+// Detail mode also keeps the runner-up scores so hysteresis can be resolved later.
+function matchFrame({ blueprint, detailSource }, candidateSet, options) {
+    const { width: outputWidth, height: outputHeight } = blueprint;
+    const cellCount = outputWidth * outputHeight;
+    const ditherer = createDitherer(options.dither, options.ditherStrength, outputWidth, outputHeight);
+
+    const bestIds = new Int32Array(cellCount).fill(-1);
+    const bestScores = new Float32Array(cellCount);
+    const pixels = new Uint8Array(cellCount * 3);
+    const alternativeIds = detailSource ? new Int32Array(cellCount * DETAIL_HYSTERESIS_ALTERNATIVES).fill(-1) : null;
+    const alternativeScores = detailSource ? new Float32Array(cellCount * DETAIL_HYSTERESIS_ALTERNATIVES) : null;
+
+    for (let y = 0; y < outputHeight; y++) {
+        for (let x = 0; x < outputWidth; x++) {
+            const cell = y * outputWidth + x;
+            let pixelRGB, best = null;
+            const sourcePixel = intToRGBA(blueprint.getPixelColor(x, y));
+            const coverage = classifyAlpha(sourcePixel.a, options.alphaThreshold, options.translucentBelow);
+            if (coverage === 'air') continue;
+
+            if (detailSource && coverage === 'opaque') {
+                const rawPatch = readPatch(detailSource.bitmap, x * options.textureSize, y * options.textureSize, options.textureSize);
+                if (!rawPatch.meanRgb) continue;
+                pixelRGB = ditherer.adjust(x, y, rawPatch.meanRgb);
+                const offset = { r: pixelRGB.r - rawPatch.meanRgb.r, g: pixelRGB.g - rawPatch.meanRgb.g, b: pixelRGB.b - rawPatch.meanRgb.b };
+                const ranked = rankDetailMatches(preparePatch(rawPatch, offset), candidateSet.candidates, options.colorMetric, options.detailWeight);
+                for (let i = 0; i < Math.min(ranked.length, DETAIL_HYSTERESIS_ALTERNATIVES); i++) {
+                    alternativeIds[cell * DETAIL_HYSTERESIS_ALTERNATIVES + i] = ranked[i].candidate.textureInfo.textureId;
+                    alternativeScores[cell * DETAIL_HYSTERESIS_ALTERNATIVES + i] = ranked[i].score;
+                }
+                best = ranked.length > 0 ? { candidate: ranked[0].candidate, distance: ranked[0].score } : null;
+            } else {
+                pixelRGB = ditherer.adjust(x, y, sourcePixel);
+                // Without translucent candidates left, translucent pixels take opaque ones.
+                const colorIndex = coverage === 'translucent' && candidateSet.translucentIndex ? candidateSet.translucentIndex : candidateSet.colorIndex;
+                best = colorIndex.nearest(toMatchColor(pixelRGB));
+            }
+            ditherer.commit(x, y, pixelRGB, best && best.candidate.perceivedColor);
+
+            pixels[cell * 3] = pixelRGB.r;
+            pixels[cell * 3 + 1] = pixelRGB.g;
+            pixels[cell * 3 + 2] = pixelRGB.b;
+            if (best) {
+                bestIds[cell] = best.candidate.textureInfo.textureId;
+                bestScores[cell] = best.distance;
+            }
+        }
+    }
+    return { width: outputWidth, height: outputHeight, bestIds, bestScores, pixels, alternativeIds, alternativeScores };
+}
+
+function previousChoiceScore(frameMatch, cell, previousCandidate, options) {
+    if (!frameMatch.alternativeIds) {
+        const pixelColor = toMatchColor({ r: frameMatch.pixels[cell * 3], g: frameMatch.pixels[cell * 3 + 1], b: frameMatch.pixels[cell * 3 + 2] });
+        return colorDistance(pixelColor, previousCandidate.perceivedColor, options.colorMetric);
+    }
+    const previousId = previousCandidate.textureInfo.textureId;
+    for (let i = 0; i < DETAIL_HYSTERESIS_ALTERNATIVES; i++) {
+        const idx = cell * DETAIL_HYSTERESIS_ALTERNATIVES + i;
+        if (frameMatch.alternativeIds[idx] === previousId) return frameMatch.alternativeScores[idx];
+    }
+    // Not even among the runners-up, so it is far enough off to always switch.
+    return Infinity;
+}
+
+// Applies the temporal hysteresis: a block keeps its previous texture unless the
+// new best match beats it by more than `switchThreshold`. With spatialCoherence, the
+// threshold of a block drops when its neighbors switch and rises when they stay, so
+// regions change together and lone blocks don't flicker. Must run in frame order.
+function resolveFrameChoices(frameMatch, candidateSet, previousFrameChoices, options, switchThreshold = options.textureSwitchThreshold) {
+    const { width, height, bestIds } = frameMatch;
+    const choices = Array(height).fill(null).map(() => Array(width).fill(null));
+    // Improvement of the best match over the previous texture, for blocks that have to choose.
+    const improvements = new Float64Array(width * height).fill(NaN);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = y * width + x;
+            const bestId = bestIds[cell];
+            if (bestId === -1) continue;
+
+            const previousTextureId = previousFrameChoices ? previousFrameChoices[y][x] : null;
+            const previousCandidate = previousTextureId === null ? null : candidateSet.candidatesById.get(previousTextureId);
+            if (!previousCandidate || previousTextureId === bestId) {
+                choices[y][x] = bestId;
+                continue;
+            }
+            improvements[cell] = previousChoiceScore(frameMatch, cell, previousCandidate, options) - frameMatch.bestScores[cell];
+            choices[y][x] = improvements[cell] > switchThreshold ? bestId : previousTextureId;
+        }
+    }
+    if (!previousFrameChoices || options.spatialCoherence === 0) return choices;
+
+    const switched = (x, y) => choices[y][x] !== previousFrameChoices[y][x];
+    const coherent = choices.map(row => row.slice());
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const cell = y * width + x;
+            if (Number.isNaN(improvements[cell])) continue;
+            let neighbors = 0, switching = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    if ((dx === 0 && dy === 0) || nx < 0 || ny < 0 || nx >= width || ny >= height || bestIds[ny * width + nx] === -1) continue;
+                    neighbors++;
+                    if (switched(nx, ny)) switching++;
+                }
+            }
+            if (neighbors === 0) continue;
+            const threshold = switchThreshold * (1 + options.spatialCoherence * (1 - 2 * switching / neighbors));
+            coherent[y][x] = improvements[cell] > threshold ? bestIds[cell] : previousFrameChoices[y][x];
+        }
+    }
+    return coherent;
+}
+
+function composeFrame(choicesGrid, candidateSet, textureSize) {
+    const height = choicesGrid.length, width = height > 0 ? choicesGrid[0].length : 0;
+    const finalImage = new Jimp({ width: width * textureSize, height: height * textureSize });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const textureId = choicesGrid[y][x];
+            if (textureId === null) continue;
+            blitTexture(finalImage.bitmap, candidateSet.candidatesById.get(textureId).texturePixels, x * textureSize, y * textureSize, textureSize);
+        }
+    }
+    return finalImage;
+}
+
+function blitTexture(targetBitmap, texturePixels, left, top, textureSize) {
+    const rowBytes = textureSize * 4;
+    for (let row = 0; row < textureSize; row++) {
+        const targetOffset = ((top + row) * targetBitmap.width + left) * 4;
+        targetBitmap.data.set(texturePixels.subarray(row * rowBytes, (row + 1) * rowBytes), targetOffset);
+    }
+}
+
+// "auto" budgets follow each frame's length, see frameBudget().
+function createMovieEncoder(width, height, candidateSet, texturePalette, blockMap, options) {
+    const budget = options.movieDeltaBudget === 'auto' ? null : options.movieDeltaBudget;
+
+    const changeError = (fromTextureId, toTextureId) => {
+        const from = fromTextureId === null ? null : candidateSet.candidatesById.get(fromTextureId);
+        const to = toTextureId === null ? null : candidateSet.candidatesById.get(toTextureId);
+        if (!from || !to) return Infinity;
+        return colorDistance(from.perceivedColor, to.perceivedColor, options.colorMetric);
+    };
+    return createDeltaEncoder({ width, height, texturePalette, blockPalette: createBlockPalette(blockMap), budget, changeError });
+}
+
+function frameBudget(ticks, options) {
+    return options.movieDeltaBudget === 'auto' ? options.movieBlocksPerTick * ticks : options.movieDeltaBudget;
+}
+
+// `frameTicks` has the length of every frame; the loop delta shows frame 0 again.
+async function generateMovieFile(movieEncoder, width, height, basePath, options, frameTicks) {
+    const { frameSpans, frameBlocks, frameStats, loopStats, blocks } = movieEncoder.finish(options.movieLoop);
+    const script = generateMovieScript({
+        width,
+        height,
+        frameSpans,
+        frameBlocks,
+        frameTicks: frameSpans.map((_, index) => frameTicks[index % frameTicks.length]),
+        blocks,
+        fallbackBlock: options.fallbackBlock,
+        loop: options.movieLoop,
+        blocksPerTick: options.movieBlocksPerTick,
+        tag: options.movieTag,
+        placement: getConfiguredPlacement(options, width, height),
+    });
+    const scriptPath = basePath + '_movie.js';
+    await fsp.writeFile(scriptPath, script, 'utf-8');
+
+    const totalPlaced = frameStats.reduce((sum, stats) => sum + stats.applied, 0);
+    const totalDeferred = frameStats.reduce((sum, stats) => sum + stats.deferred, 0);
+    const slowFrames = frameStats.slice(1).filter((stats, index) => stats.applied > options.movieBlocksPerTick * frameTicks[index + 1]).length;
+    console.log(`Changed blocks per frame: ${frameStats.map(stats => stats.applied).join(', ')}`);
+    if (loopStats) console.log(`Looping back to the first frame changes ${loopStats.changed} blocks.`);
+    console.log(`Placing ${totalPlaced} blocks in total instead of ${frameStats.length * width * height} for full redraws.`);
+    if (totalDeferred > 0) console.log(`The per-frame budget deferred ${totalDeferred} block changes to later frames.`);
+    if (slowFrames > 0) {
+        console.warn(`Warning: ${slowFrames} frame(s) change more blocks than movieBlocksPerTick can place while they are shown and will play slower; consider movieDeltaBudget: "auto".`);
+    }
+
+    const totalTicks = frameTicks.reduce((total, ticks) => total + ticks, 0);
+    console.log(`Movie script (${frameStats.length} frames, ${totalTicks} ticks = ${(totalTicks * MS_PER_TICK / 1000).toFixed(2)}s) saved to ${scriptPath}`);
+    console.log(`It runs on the same world code as the draw script. Stop it with S.stop(${JSON.stringify(options.movieTag)}).`);
+    return scriptPath;
+}
+
+async function processImageFrame(sourceFrame, candidateSet, previousFrameChoices, options) {
+    const frameMatch = matchFrame(await prepareFrame(sourceFrame, options), candidateSet, options);
+    const currentFrameChoices = resolveFrameChoices(frameMatch, candidateSet, previousFrameChoices, options);
+    return { finalImage: composeFrame(currentFrameChoices, candidateSet, options.textureSize), currentFrameChoices };
+}
+
+// Runs frames on worker threads, one frame per worker at a time. A frame that fails
+// to match rejects its own job only; a worker that crashes or exits fails the whole
+// pool: every pending job is rejected, later ones too, and the workers are stopped.
+function createWorkerPool(workerCount, options, paletteTextureIds) {
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    let failure = null;
+    let closed = false;
+
+    const dispatch = () => {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            worker.job = queue.shift();
+            worker.postMessage(worker.job.frame, [worker.job.frame.data.buffer]);
+        }
+    };
+
+    const fail = (error) => {
+        if (failure || closed) return;
+        failure = error;
+        for (const worker of workers) {
+            if (worker.job) worker.job.reject(error);
+            worker.job = null;
+        }
+        for (const job of queue.splice(0)) job.reject(error);
+        close();
+    };
+
+    const close = () => {
+        closed = true;
+        return Promise.all(workers.map(worker => worker.terminate()));
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+        const worker = new Worker(WORKER_FILE, { workerData: { options, paletteTextureIds } });
+        worker.job = null;
+        worker.on('message', ({ frameMatch, error }) => {
+            // A result can still arrive after the pool failed and dropped its job.
+            if (!worker.job) return;
+            const { resolve, reject } = worker.job;
+            worker.job = null;
+            idle.push(worker);
+            if (error) reject(Object.assign(new Error(error.message), { stack: error.stack }));
+            else resolve(frameMatch);
+            dispatch();
+        });
+        worker.on('error', fail);
+        worker.on('exit', (code) => {
+            if (!closed) fail(new Error(`A frame worker stopped with exit code ${code}.`));
+        });
+        workers.push(worker);
+        idle.push(worker);
+    }
+
+    return {
+        run: (frame) => new Promise((resolve, reject) => {
+            if (failure) {
+                reject(failure);
+                return;
+            }
+            queue.push({ frame, resolve, reject });
+            dispatch();
+        }),
+        close,
+    };
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+async function processAnimation(inputFile, source, outputBase, candidateSet, texturePalette, blockMap, options) {
+    const outputGifPath = outputBase + '.gif';
+    console.log(`Processing ${source.kind} (${source.width}x${source.height}), saving final animation to: ${outputGifPath}`);
+
+    const noFrames = () => new Error(`No frames were decoded from ${inputFile}.`);
+    if (source.frameDelaysMs.length === 0) throw noFrames();
+    const timeline = buildTimeline(source.frameDelaysMs, options);
+    const ticksBySourceFrame = new Map(timeline.frames.map(frame => [frame.sourceIndex, frame.ticks]));
+    const lastShownFrame = timeline.frames[timeline.frames.length - 1].sourceIndex;
+    console.log(`Playing ${timeline.frames.length} of ${source.frameCount} frames for ${(timeline.totalTicks * MS_PER_TICK / 1000).toFixed(2)}s (${timeline.totalTicks} ticks)${timeline.droppedFrames > 0 ? `; ${timeline.droppedFrames} frame(s) in range dropped` : ''}.`);
+    // Decoding has to go through every frame up to the last one shown, since GIF, APNG and
+    // video frames build on the ones before them.
+    async function* shownFrames() {
+        for await (const frame of source.frames()) {
+            if (ticksBySourceFrame.has(frame.index)) yield frame;
+            if (frame.index >= lastShownFrame) return;
+        }
+    }
+
+    if (options.paletteSize !== null) {
+        console.log(`Sampling colors from ${timeline.frames.length} frames...`);
+        const histograms = createPaletteHistograms();
+        for await (const frame of shownFrames()) addFrameToHistograms(histograms, await prepareFrame(frame, options), options);
+        candidateSet = limitPalette(histograms, candidateSet, options);
+    }
+    const paletteTextureIds = options.paletteSize === null ? null : getPaletteTextureIds(candidateSet);
+    const workerCount = options.workerCount ?? Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1);
+    const maxFramesInFlight = options.maxFramesInFlight ?? workerCount * 2;
+    console.log(`Bloxelizing ${timeline.frames.length} frames with ${workerCount} worker thread(s)...`);
+
+    const pool = createWorkerPool(workerCount, options, paletteTextureIds);
+    const inFlight = [];
+    const startTime = Date.now();
+    let previousFrameChoices = null;
+    let encoder, outputStream;
+    let framesDone = 0;
+    let movieEncoder = null;
+    let firstFrameChoices = null;
+    const materialCounts = new Map();
+    const frameTicks = [];
+    const sceneTracker = createSceneTracker(options);
+    const sceneCuts = [];
+
+    const finishFrame = async ({ frameMatch, ticks, sourceIndex }) => {
+        const scene = sceneTracker.update(frameMatch);
+        if (scene.cut) {
+            sceneCuts.push({ frame: framesDone, sourceIndex, changedFraction: scene.changedFraction });
+            previousFrameChoices = null;
+        }
+        const currentFrameChoices = resolveFrameChoices(frameMatch, candidateSet, previousFrameChoices, options, scene.switchThreshold);
+        previousFrameChoices = currentFrameChoices;
+        const finalImage = composeFrame(currentFrameChoices, candidateSet, options.textureSize);
+        if (!movieEncoder) movieEncoder = createMovieEncoder(frameMatch.width, frameMatch.height, candidateSet, texturePalette, blockMap, options);
+        movieEncoder.addFrame(currentFrameChoices, frameBudget(ticks, options));
+        frameTicks.push(ticks);
+        mergeMaxCounts(materialCounts, countBlocks(currentFrameChoices, texturePalette));
+
+        if (!encoder) {
+            firstFrameChoices = currentFrameChoices;
+            encoder = new GIFEncoder(finalImage.width, finalImage.height);
+            outputStream = fs.createWriteStream(outputGifPath);
+            encoder.createReadStream().pipe(outputStream);
+            encoder.start();
+            encoder.setRepeat(0);
+            encoder.setQuality(1);
+            // Clear each frame before the next, or air would show the frame before it.
+            if (options.alphaThreshold !== null) encoder.setDispose(2);
+        }
+        const keyed = options.alphaThreshold === null ? 0 : keyOutTransparency(finalImage.bitmap.data, GIF_TRANSPARENT_KEY);
+        encoder.setTransparent(keyed > 0 ? GIF_TRANSPARENT_KEY : null);
+        // The preview keeps in-game timing: whole ticks, which GIF delays (10 ms steps) hold exactly.
+        encoder.setDelay(ticks * MS_PER_TICK);
+        encoder.addFrame(finalImage.bitmap.data);
+
+        framesDone++;
+        const elapsed = Date.now() - startTime;
+        const eta = (elapsed / framesDone) * (timeline.frames.length - framesDone);
+        process.stdout.write(`\rFrame ${framesDone}/${timeline.frames.length} (${Math.round((framesDone / timeline.frames.length) * 100)}%) - elapsed ${formatDuration(elapsed)}, ETA ${formatDuration(eta)}   `);
+    };
+
+    try {
+        for await (const frame of shownFrames()) {
+            const ticks = ticksBySourceFrame.get(frame.index);
+            const job = pool.run(frame).then(frameMatch => ({ frameMatch, ticks, sourceIndex: frame.index }));
+            // Jobs are awaited in order, so one that fails meanwhile must not count as
+            // unhandled; its error is thrown when its turn comes.
+            job.catch(() => {});
+            inFlight.push(job);
+            if (inFlight.length >= maxFramesInFlight) await finishFrame(await inFlight.shift());
+        }
+        while (inFlight.length > 0) await finishFrame(await inFlight.shift());
+    } finally {
+        await pool.close();
+    }
+    // A source may yield fewer frames than it announced, down to none.
+    if (framesDone === 0) throw noFrames();
+
+    if (sceneCuts.length > 0) {
+        console.log(`\nDetected ${sceneCuts.length} scene cut(s), where blocks switch without hysteresis:`);
+        for (const cut of sceneCuts) {
+            console.log(`  frame ${cut.frame} (source frame ${cut.sourceIndex}): ${Math.round(cut.changedFraction * 100)}% of blocks changed`);
+        }
+    } else if (options.sceneCutThreshold !== null) {
+        console.log('\nNo scene cuts detected.');
+    }
+
+    console.log("\nFinalizing GIF, please wait...");
+    const written = new Promise((resolve, reject) => outputStream.on('finish', resolve).on('error', reject));
+    encoder.finish();
+    await written;
+
+    const width = previousFrameChoices[0].length, height = previousFrameChoices.length;
+    const blueprintFiles = await generateBlueprintFiles(firstFrameChoices, texturePalette, blockMap, outputBase, options, { command: 'animate', source: { file: inputFile, kind: source.kind }, frameTicks });
+    const movieScript = await generateMovieFile(movieEncoder, width, height, outputBase, options, frameTicks);
+    const materials = await writeBillOfMaterials(materialCounts, blockMap, outputBase, options, 'the most any single frame uses of each block');
+    return {
+        width,
+        height,
+        frameCount: framesDone,
+        frameTicks,
+        sceneCuts,
+        outputs: { animation: outputGifPath, ...blueprintFiles, movieScript, materials: materials.path },
+    };
+}
+
+// Converts an animation frame by frame: writes the preview GIF, the first frame's
+// blueprint files and draw script, the movie script and the bill of materials.
+// Animations are GIFs, animated WebPs and PNGs, videos (with ffmpeg installed), and
+// directories or patterns (frames/shot_*.png) of numbered frames. Other images are
+// converted as a single frame, with a PNG preview and no movie.
+// `options` are the "animate" options (see options.js); missing ones take their defaults.
+// Resolves to { width, height, frameCount, frameTicks, sceneCuts, outputs }.
+async function convertAnimation(inputFile, options = {}) {
+    options = resolveOptions('animate', options);
+    if (isErrorDiffusionMode(options.dither)) {
+        console.warn(`Warning: "${options.dither}" dithering is not stable between frames; use "bayer" or "blue-noise" for animations.`);
+    }
+
+    console.log(`Loading texture index from ${options.indexFile}...`);
+    const { textureData, texturePalette, candidateSet } = await loadCandidateSet(options);
+    // A pattern like frames/shot_*.png is named after its directory.
+    const outputBase = getOutputBase(isFramePattern(inputFile) ? path.dirname(inputFile) : inputFile, options);
+
+    const source = await openFrameSource(inputFile, options);
+    if (source) {
+        return processAnimation(inputFile, source, outputBase, candidateSet, texturePalette, textureData.block_map, options);
+    }
+
+    const outputPath = outputBase + '.png';
+    console.log(`Processing static image, saving to: ${outputPath}`);
+    const { bitmap } = await Jimp.read(inputFile);
+    const frameCandidateSet = options.paletteSize === null
+        ? candidateSet
+        : limitPalette(addFrameToHistograms(createPaletteHistograms(), await prepareFrame(bitmap, options), options), candidateSet, options);
+    const { finalImage, currentFrameChoices } = await processImageFrame(bitmap, frameCandidateSet, null, options);
+    const blueprintFiles = await generateBlueprintFiles(currentFrameChoices, texturePalette, textureData.block_map, outputBase, options, { command: 'animate', source: { file: inputFile, kind: 'image' } });
+    const materials = await writeBillOfMaterials(countBlocks(currentFrameChoices, texturePalette), textureData.block_map, outputBase, options);
+    await finalImage.write(outputPath);
+    return {
+        width: currentFrameChoices.length > 0 ? currentFrameChoices[0].length : 0,
+        height: currentFrameChoices.length,
+        frameCount: 1,
+        outputs: { image: outputPath, ...blueprintFiles, materials: materials.path },
+    };
+}
+
+module.exports = {
+    loadCandidateSet,
+    prepareFrame,
+    matchFrame,
+    convertAnimation,
+};
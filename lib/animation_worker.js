@@ -0,0 +1,27 @@
+const { parentPort, workerData } = require('worker_threads');
+const { loadCandidateSet, prepareFrame, matchFrame } = require('./animation_converter');
+
+// Worker thread of convertAnimation: matches frames sent by the main thread with
+// the same (already resolved) options, and sends back the per-block results.
+async function runWorker() {
+    const { options, paletteTextureIds } = workerData;
+    const { candidateSet } = await loadCandidateSet(options, paletteTextureIds, () => {});
+
+    // The pool hands a worker one frame at a time, so awaiting here never interleaves frames.
+    // A frame that fails is reported back as that frame's error.
+    parentPort.on('message', async (frame) => {
+        let frameMatch;
+        try {
+            frameMatch = matchFrame(await prepareFrame(frame, options), candidateSet, options);
+        } catch (error) {
+            parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+            return;
+        }
+        const transfer = [frameMatch.bestIds, frameMatch.bestScores, frameMatch.pixels, frameMatch.alternativeIds, frameMatch.alternativeScores]
+            .filter(Boolean)
+            .map(array => array.buffer);
+        parentPort.postMessage({ frameMatch }, transfer);
+    });
+}
+
+runWorker();
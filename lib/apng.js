@@ -0,0 +1,113 @@
+// Splits an animated PNG into its frames, each rebuilt as a plain PNG that any
+// decoder reads (sharp decodes APNGs as a still image). Frame placement, delays and
+// dispose/blend operations are returned for the caller to composite.
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+// Chunks copied into every frame, as they describe the pixel format.
+const SHARED_CHUNK_TYPES = new Set(['PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT']);
+
+const DISPOSE_OP_NONE = 0;
+const DISPOSE_OP_BACKGROUND = 1;
+const DISPOSE_OP_PREVIOUS = 2;
+const BLEND_OP_SOURCE = 0;
+const BLEND_OP_OVER = 1;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function readChunks(buffer) {
+    if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file.');
+    }
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function writeChunk(type, data) {
+    const chunk = Buffer.alloc(data.length + 12);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Returns null for a PNG that is not animated, otherwise
+// { width, height, frames: [{ x, y, width, height, delayMs, disposeOp, blendOp, png }] }.
+function readApng(buffer) {
+    const chunks = readChunks(buffer);
+    if (!chunks.some(chunk => chunk.type === 'acTL')) return null;
+
+    const header = chunks.find(chunk => chunk.type === 'IHDR').data;
+    const sharedChunks = chunks.filter(chunk => SHARED_CHUNK_TYPES.has(chunk.type));
+    const frames = [];
+    let frame = null;
+
+    const finishFrame = () => {
+        if (!frame || frame.data.length === 0) return;
+        const frameHeader = Buffer.from(header);
+        frameHeader.writeUInt32BE(frame.width, 0);
+        frameHeader.writeUInt32BE(frame.height, 4);
+        frame.png = Buffer.concat([
+            PNG_SIGNATURE,
+            writeChunk('IHDR', frameHeader),
+            ...sharedChunks.map(chunk => writeChunk(chunk.type, chunk.data)),
+            ...frame.data.map(data => writeChunk('IDAT', data)),
+            writeChunk('IEND', Buffer.alloc(0)),
+        ]);
+        delete frame.data;
+        frames.push(frame);
+    };
+
+    for (const { type, data } of chunks) {
+        if (type === 'fcTL') {
+            finishFrame();
+            const delayNumerator = data.readUInt16BE(20), delayDenominator = data.readUInt16BE(22) || 100;
+            frame = {
+                width: data.readUInt32BE(4),
+                height: data.readUInt32BE(8),
+                x: data.readUInt32BE(12),
+                y: data.readUInt32BE(16),
+                delayMs: (delayNumerator / delayDenominator) * 1000,
+                disposeOp: data[24],
+                blendOp: data[25],
+                data: [],
+            };
+        } else if (type === 'IDAT' && frame) {
+            // Only part of the animation when an fcTL came first; otherwise it is a default image.
+            frame.data.push(data);
+        } else if (type === 'fdAT' && frame) {
+            frame.data.push(data.subarray(4));
+        }
+    }
+    finishFrame();
+
+    // A first frame can't restore what came before it.
+    if (frames.length > 0 && frames[0].disposeOp === DISPOSE_OP_PREVIOUS) frames[0].disposeOp = DISPOSE_OP_BACKGROUND;
+    return { width: header.readUInt32BE(0), height: header.readUInt32BE(4), frames };
+}
+
+module.exports = {
+    DISPOSE_OP_NONE,
+    DISPOSE_OP_BACKGROUND,
+    DISPOSE_OP_PREVIOUS,
+    BLEND_OP_SOURCE,
+    BLEND_OP_OVER,
+    readApng,
+};
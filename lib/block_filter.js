@@ -0,0 +1,92 @@
+// Match-time block filters, so palettes can change without regenerating the
+// texture index. Categories are name patterns over block_map, matched against
+// the base name (the part before any "|meta" suffix).
+const BLOCK_CATEGORIES = {
+    wool: /\bWool$/,
+    concrete: /\bConcrete$/,
+    ceramic: /\bCeramic$/,
+    baked_clay: /\bBaked Clay$/,
+    planks: /\bPlanks$/,
+    wood: /\b(Log|Wood Planks|Planks)$/,
+    leaves: /\bLeaves$/,
+    stone: /\b(Stone|Stone Bricks|Bricks|Andesite|Diorite|Granite|Sandstone|Cobblestone)$/,
+    glass: /\bGlass$/,
+    ore: /\bOre$/,
+    mineral: /^Block of /,
+    light: /\b(Lamp On|Lantern|Beacon|Torch|Glowstone)\b|^Magma$|^Jack o'Lantern/,
+    falling: /^(Sand|Red Sand|Gravel)$/,
+    explosive: /\b(Explosive|Bomb Block|Rocket|Grenade)\b/,
+    container: /\b(Chest|Mailbox|Bookshelf|Workbench|Furnace|Bench)\b/,
+    protector: /\bProtector$/,
+    food: /\b(Bread|Apple|Plum|Pear|Cherry|Coconut|Corn|Melon|Watermelon) Block$|^(Melon|Watermelon|Pumpkin)$/,
+    placeholder: /placeholder|UNUSED|Reserved|^Unloaded$/i,
+    unbreakable: /^Bedrock$|\bBarrier\b/,
+    mechanic: /^Drop Location Block$|\b(Spawn|Portal|Checkpoint)\b/,
+};
+
+const FILTER_KEYS = ['includeIds', 'excludeIds', 'includeNames', 'excludeNames', 'includeCategories', 'excludeCategories'];
+
+function validateBlockFilter(filter) {
+    if (!filter) return {};
+    for (const key of Object.keys(filter)) {
+        if (!FILTER_KEYS.includes(key)) throw new Error(`Unknown block filter key "${key}". Expected one of: ${FILTER_KEYS.join(', ')}.`);
+        if (!Array.isArray(filter[key])) throw new Error(`Block filter "${key}" must be an array.`);
+    }
+    for (const category of [...(filter.includeCategories || []), ...(filter.excludeCategories || [])]) {
+        if (!BLOCK_CATEGORIES[category]) {
+            throw new Error(`Unknown block category "${category}". Expected one of: ${Object.keys(BLOCK_CATEGORIES).join(', ')}.`);
+        }
+    }
+    return filter;
+}
+
+// Strings match as case-insensitive substrings, RegExps as given.
+function matchesName(name, pattern) {
+    if (pattern instanceof RegExp) return pattern.test(name);
+    return name.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+function getBlockCategories(blockName) {
+    const baseName = blockName.split('|')[0];
+    return Object.keys(BLOCK_CATEGORIES).filter(category => BLOCK_CATEGORIES[category].test(baseName));
+}
+
+// A block passes when it matches at least one include rule (if there are any)
+// and no exclude rule.
+function createBlockFilter(filter, blockMap) {
+    const { includeIds = [], excludeIds = [], includeNames = [], excludeNames = [], includeCategories = [], excludeCategories = [] } = validateBlockFilter(filter);
+    const hasIncludes = includeIds.length + includeNames.length + includeCategories.length > 0;
+    const includeIdSet = new Set(includeIds.map(Number));
+    const excludeIdSet = new Set(excludeIds.map(Number));
+    const cache = new Map();
+
+    const matches = (blockId, ids, names, categories) => {
+        if (ids.has(blockId)) return true;
+        const name = blockMap[blockId] || '';
+        if (names.some(pattern => matchesName(name, pattern))) return true;
+        return categories.length > 0 && getBlockCategories(name).some(category => categories.includes(category));
+    };
+
+    return (blockId) => {
+        if (cache.has(blockId)) return cache.get(blockId);
+        const allowed = (!hasIncludes || matches(blockId, includeIdSet, includeNames, includeCategories))
+            && !matches(blockId, excludeIdSet, excludeNames, excludeCategories);
+        cache.set(blockId, allowed);
+        return allowed;
+    };
+}
+
+// Returns a copy of the texture palette with each texture's blockIds narrowed to
+// the allowed blocks; textures left without blocks can no longer be matched.
+function filterTexturePalette(texturePalette, blockMap, filter) {
+    const isAllowed = createBlockFilter(filter, blockMap);
+    return texturePalette.map(texture => ({ ...texture, blockIds: texture.blockIds.filter(isAllowed) }));
+}
+
+module.exports = {
+    BLOCK_CATEGORIES,
+    validateBlockFilter,
+    getBlockCategories,
+    createBlockFilter,
+    filterTexturePalette,
+};
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+
+// Draws blocks with their atlas textures as the game shows one face of them; shared by
+// the simulator and the blueprint tools. Blocks come from block_texture_map.json.
+const AIR = 'Air';
+// Placeholder for blocks without a texture.
+const MISSING_TEXTURE_COLOR = [255, 0, 255, 255];
+
+// Block names by ID, and the block_texture_map.json entries by ID and by name.
+async function loadBlockTable(blockTextureMapFile) {
+    const mapData = JSON.parse(await fs.readFile(blockTextureMapFile, 'utf-8'));
+    const namesById = new Map([[0, AIR]]);
+    const blocksById = new Map();
+    const blocksByName = new Map();
+    for (const [blockId, block] of Object.entries(mapData)) {
+        const entry = { blockId: Number(blockId), ...block };
+        namesById.set(entry.blockId, block.name);
+        blocksById.set(entry.blockId, entry);
+        blocksByName.set(block.name, entry);
+    }
+    return { namesById, blocksById, blocksByName };
+}
+
+// `face` is a face direction as in lib/orientation.js: front, back, left, right, top or bottom.
+function getFaceTextureInfo(block, face) {
+    if (!block) return null;
+    const faceName = face[0].toUpperCase() + face.slice(1);
+    const faceKey = Object.keys(block.faceMap).find(key => key.includes(`_${faceName}_`));
+    return faceKey === undefined ? null : block.texturePalette[block.faceMap[faceKey]] || null;
+}
+
+// Resolves to the RGBA pixels of the block's face, or null when it has no texture.
+async function getBlockFaceTexture(block, face, textureLoader) {
+    const textureInfo = getFaceTextureInfo(block, face);
+    return textureInfo ? (await textureLoader.getTextureImage(textureInfo)).bitmap.data : null;
+}
+
+// Draws a texture (or the placeholder for null) over what the bitmap already holds.
+function drawTexture(bitmap, texture, left, top, textureSize) {
+    const target = bitmap.data;
+    for (let y = 0; y < textureSize; y++) {
+        for (let x = 0; x < textureSize; x++) {
+            const from = (y * textureSize + x) * 4;
+            const to = ((top + y) * bitmap.width + left + x) * 4;
+            const pixel = texture ? texture.subarray(from, from + 4) : MISSING_TEXTURE_COLOR;
+            const alpha = pixel[3] / 255;
+            const below = (target[to + 3] / 255) * (1 - alpha);
+            if (alpha + below === 0) continue;
+            for (let c = 0; c < 3; c++) target[to + c] = Math.round((pixel[c] * alpha + target[to + c] * below) / (alpha + below));
+            target[to + 3] = Math.round(255 * (alpha + below));
+        }
+    }
+}
+
+module.exports = {
+    AIR,
+    loadBlockTable,
+    getFaceTextureInfo,
+    getBlockFaceTexture,
+    drawTexture,
+};
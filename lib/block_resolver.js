@@ -0,0 +1,116 @@
+const { getBlockCategories } = require('./block_filter');
+
+// Several blocks often share a texture. This orders each texture's blockIds so
+// the first (the one textureIdToBlockId places) is the best fit for the build:
+//   - the block must show this texture on the visible face,
+//   - the face on the far side, then the remaining faces, should match too, so
+//     the build also looks right from behind and along its edges,
+//   - blocks with see-through faces, odd shapes or side effects are avoided,
+//   - `preferences.prefer` / `preferences.avoid` (IDs, name substrings or RegExps)
+//     override all of that; earlier `prefer` entries win ties.
+// A texture whose best block is still unsuitable (an odd shape, or a block in one of
+// UNSUITABLE_CATEGORIES) is marked so; prepareCandidates skips it unless asked not to.
+// A block the user prefers is never unsuitable.
+const OPPOSITE_FACES = { front: 'back', back: 'front', left: 'right', right: 'left', top: 'bottom', bottom: 'top' };
+const CATEGORY_PENALTIES = { placeholder: 40, protector: 40, unbreakable: 40, mechanic: 40, explosive: 20, container: 20, leaves: 10, food: 5, light: 5, falling: 5 };
+const ODD_SHAPE_PATTERN = /Cactus|Ladder|Door|Fence|Stairs|Slab|Pane|Trapdoor|Sign|Bed\b|Torch|Lantern/;
+const UNSUITABLE_CATEGORIES = ['placeholder', 'protector', 'explosive', 'container', 'unbreakable', 'mechanic'];
+
+const SCORE_VISIBLE_FACE = 1000;
+const SCORE_OPPOSITE_FACE = 8;
+const SCORE_OTHER_FACE = 2;
+const SCORE_TRANSPARENT_FACE = -30;
+const SCORE_ODD_SHAPE = -15;
+const SCORE_VARIANT = -3;
+const SCORE_PREFERENCE = 100;
+
+function getSimpleFaceName(complexFaceName) {
+    for (const face of ['Top', 'Bottom', 'Front', 'Back', 'Right', 'Left']) {
+        if (complexFaceName.includes(face)) return face.toLowerCase();
+    }
+    return null;
+}
+
+function matchesPreference(blockId, blockName, pattern) {
+    if (typeof pattern === 'number') return pattern === blockId;
+    if (pattern instanceof RegExp) return pattern.test(blockName);
+    return blockName.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+// Per block ID, the texture ID shown on each simple face.
+function buildBlockFaces(texturePalette, blockTextureMap) {
+    const textureIdByKey = new Map(texturePalette.map(texture => [`${texture.atlasFileIndex}-${texture.textureIndexOnAtlas}`, texture.textureId]));
+    const blockFaces = new Map();
+    for (const [blockId, blockData] of Object.entries(blockTextureMap)) {
+        const faces = {};
+        for (const [complexFaceName, paletteIndex] of Object.entries(blockData.faceMap || {})) {
+            const face = getSimpleFaceName(complexFaceName);
+            const textureInfo = blockData.texturePalette[paletteIndex];
+            if (!face || !textureInfo) continue;
+            faces[face] = textureIdByKey.get(`${textureInfo.atlasFileIndex}-${textureInfo.textureIndexOnAtlas}`) ?? null;
+        }
+        blockFaces.set(Number(blockId), faces);
+    }
+    return blockFaces;
+}
+
+function scoreBlock(blockId, textureId, faces, blockName, faceDirection, texturePalette, preferences) {
+    let score = 0;
+    if (faces[faceDirection] === textureId) score += SCORE_VISIBLE_FACE;
+    if (faces[OPPOSITE_FACES[faceDirection]] === textureId) score += SCORE_OPPOSITE_FACE;
+    for (const [face, faceTextureId] of Object.entries(faces)) {
+        if (face !== faceDirection && face !== OPPOSITE_FACES[faceDirection] && faceTextureId === textureId) score += SCORE_OTHER_FACE;
+    }
+    if (Object.values(faces).some(faceTextureId => faceTextureId !== null && texturePalette[faceTextureId] && texturePalette[faceTextureId].hasTransparency)) {
+        score += SCORE_TRANSPARENT_FACE;
+    }
+    if (ODD_SHAPE_PATTERN.test(blockName)) score += SCORE_ODD_SHAPE;
+    if (blockName.includes('|')) score += SCORE_VARIANT;
+    for (const category of getBlockCategories(blockName)) score -= CATEGORY_PENALTIES[category] || 0;
+
+    const prefer = preferences.prefer || [];
+    const preferIndex = prefer.findIndex(pattern => matchesPreference(blockId, blockName, pattern));
+    if (preferIndex >= 0) score += SCORE_PREFERENCE + (prefer.length - preferIndex);
+    if ((preferences.avoid || []).some(pattern => matchesPreference(blockId, blockName, pattern))) score -= SCORE_PREFERENCE;
+    return score;
+}
+
+function isSuitableBlock(blockId, blockName, preferences) {
+    if ((preferences.prefer || []).some(pattern => matchesPreference(blockId, blockName, pattern))) return true;
+    return !ODD_SHAPE_PATTERN.test(blockName) && !getBlockCategories(blockName).some(category => UNSUITABLE_CATEGORIES.includes(category));
+}
+
+// Returns a copy of the texture palette with blockIds sorted best first for
+// `faceDirection`, plus the choice (`block`) for the output metadata.
+function rankTextureBlocks(texturePalette, blockTextureMap, blockMap, faceDirection, preferences = {}) {
+    const blockFaces = buildBlockFaces(texturePalette, blockTextureMap);
+    return texturePalette.map(texture => {
+        if (texture.blockIds.length === 0) return texture;
+        const ranked = texture.blockIds
+            .map(blockId => {
+                const blockName = blockMap[blockId] || '';
+                const faces = blockFaces.get(blockId) || {};
+                return { blockId, blockName, faces, score: scoreBlock(blockId, texture.textureId, faces, blockName, faceDirection, texturePalette, preferences) };
+            })
+            .sort((a, b) => b.score - a.score || a.blockId - b.blockId);
+        const best = ranked[0];
+        return {
+            ...texture,
+            blockIds: ranked.map(({ blockId }) => blockId),
+            block: {
+                blockId: best.blockId,
+                blockName: best.blockName,
+                showsTexture: best.faces[faceDirection] === texture.textureId,
+                suitable: isSuitableBlock(best.blockId, best.blockName, preferences),
+                // Texture ID per face, for the faces a relief shows besides the front.
+                faces: best.faces,
+                alternatives: ranked.length - 1,
+            },
+        };
+    });
+}
+
+module.exports = {
+    UNSUITABLE_CATEGORIES,
+    rankTextureBlocks,
+};
@@ -0,0 +1,171 @@
+const UNICODE_PRIVATE_USE_START = 0xE000;
+// A cell is the private-use character for its entry in the blueprint's palette of
+// block names. Entry 0 is air: cells with no block, which the scripts never place.
+const AIR_BLOCK_NAME = 'Air';
+const AIR_CHAR = String.fromCodePoint(UNICODE_PRIVATE_USE_START);
+
+// Written by generateBlueprintFiles (outputs.js) into <base>.json. Version 1 was a
+// <base>.txt of 0xE000 + blockId characters next to a .json with the size only.
+const BLUEPRINT_FORMAT = 'bloxd-movie-blueprint';
+const BLUEPRINT_VERSION = 2;
+
+// Packed format: a per-image palette of blueprint characters plus a data string of
+// printable ASCII. Digits are base PACKED_BASE, written as the characters '(' to '~'
+// without the backslash so the string never needs escaping. Tokens:
+//   <index>                      one cell, palette[index]
+//   '!' <count - 3> <index>      a run of count cells (runs never cross rows)
+//   '#' <rowsBack - 1>           a copy of the whole row rowsBack rows up (only at a row start)
+// <index> is one digit for palettes up to PACKED_BASE entries and two digits above that.
+const PACKED_BASE = 86;
+const PACKED_RUN = '!';
+const PACKED_ROW_REPEAT = '#';
+const PACKED_MAX_RUN = PACKED_BASE + 2;
+
+function textureIdToBlockId(textureId, texturePalette) {
+    if (textureId === null) return 0;
+    const texture = texturePalette[textureId];
+    if (texture && texture.blockIds && texture.blockIds.length > 0) {
+        return texture.blockIds[0];
+    }
+    return 0;
+}
+
+// Block names in the order blocks are first met, so a palette can grow over the frames
+// of a movie. Names come from block_map, since game updates may renumber block IDs;
+// blockIds keeps the IDs they had at conversion time, for reference.
+function createBlockPalette(blockMap) {
+    const names = [AIR_BLOCK_NAME];
+    const blockIds = [0];
+    const indexByBlockId = new Map([[0, 0]]);
+    return {
+        names,
+        blockIds,
+        charFor(blockId) {
+            let index = indexByBlockId.get(blockId);
+            if (index === undefined) {
+                if (!blockMap[blockId]) throw new Error(`Block ${blockId} has no name in the texture index's block_map.`);
+                index = names.length;
+                names.push(blockMap[blockId]);
+                blockIds.push(blockId);
+                indexByBlockId.set(blockId, index);
+            }
+            return String.fromCodePoint(UNICODE_PRIVATE_USE_START + index);
+        },
+        // [{ name, blockId }], as the blueprint file and the scripts carry them.
+        entries() {
+            return names.map((name, index) => ({ name, blockId: blockIds[index] }));
+        },
+    };
+}
+
+function cellPaletteIndex(cell) {
+    return cell.codePointAt(0) - UNICODE_PRIVATE_USE_START;
+}
+
+// One private-use code point per block, row by row from the top.
+function encodeBlueprintString(choicesGrid, texturePalette, blockPalette) {
+    const stringBuilder = [];
+    for (const row of choicesGrid) {
+        for (const textureId of row) {
+            stringBuilder.push(blockPalette.charFor(textureIdToBlockId(textureId, texturePalette)));
+        }
+    }
+    return stringBuilder.join('');
+}
+
+function packedDigit(digit) {
+    const code = 40 + digit;
+    return String.fromCharCode(code >= 92 ? code + 1 : code);
+}
+
+function readPackedDigit(data, position) {
+    const code = data.charCodeAt(position);
+    return code > 92 ? code - 41 : code - 40;
+}
+
+function packBlueprintString(blueprintString, width) {
+    const cells = Array.from(blueprintString);
+    if (cells.length % width !== 0) throw new Error(`Blueprint length ${cells.length} is not a multiple of width ${width}.`);
+
+    const counts = new Map();
+    for (const cell of cells) counts.set(cell, (counts.get(cell) || 0) + 1);
+    const palette = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    if (palette.length > PACKED_BASE * PACKED_BASE) throw new Error(`Too many distinct blocks to pack (${palette.length}).`);
+
+    const indexWidth = palette.length <= PACKED_BASE ? 1 : 2;
+    const paletteIndex = new Map(palette.map((cell, index) => [cell, index]));
+    const encodeIndex = (cell) => {
+        const index = paletteIndex.get(cell);
+        return indexWidth === 1 ? packedDigit(index) : packedDigit(Math.floor(index / PACKED_BASE)) + packedDigit(index % PACKED_BASE);
+    };
+
+    const out = [];
+    const rows = [];
+    for (let rowStart = 0; rowStart < cells.length; rowStart += width) {
+        const row = cells.slice(rowStart, rowStart + width);
+        const rowKey = row.join('');
+        const rowsBack = rows.slice(-PACKED_BASE).reverse().indexOf(rowKey) + 1;
+        rows.push(rowKey);
+        if (rowsBack > 0) {
+            out.push(PACKED_ROW_REPEAT, packedDigit(rowsBack - 1));
+            continue;
+        }
+
+        for (let x = 0; x < width;) {
+            let runLength = 1;
+            while (x + runLength < width && runLength < PACKED_MAX_RUN && row[x + runLength] === row[x]) runLength++;
+            const encoded = encodeIndex(row[x]);
+            if (runLength >= 3 && runLength * encoded.length > 2 + encoded.length) {
+                out.push(PACKED_RUN, packedDigit(runLength - 3), encoded);
+            } else {
+                for (let i = 0; i < runLength; i++) out.push(encoded);
+            }
+            x += runLength;
+        }
+    }
+
+    return { palette: palette.join(''), data: out.join(''), indexWidth };
+}
+
+// Mirrors the decoder in the generated draw script; used to verify packed output.
+function unpackBlueprintString({ palette, data, indexWidth }, width) {
+    const paletteCells = Array.from(palette);
+    const cells = [];
+    let position = 0;
+    const readIndex = () => {
+        let value = 0;
+        for (let i = 0; i < indexWidth; i++) value = value * PACKED_BASE + readPackedDigit(data, position++);
+        return value;
+    };
+    while (position < data.length) {
+        const token = data[position];
+        if (token === PACKED_RUN) {
+            const count = readPackedDigit(data, position + 1) + 3;
+            position += 2;
+            const cell = paletteCells[readIndex()];
+            for (let i = 0; i < count; i++) cells.push(cell);
+        } else if (token === PACKED_ROW_REPEAT) {
+            const from = cells.length - (readPackedDigit(data, position + 1) + 1) * width;
+            position += 2;
+            for (let i = 0; i < width; i++) cells.push(cells[from + i]);
+        } else {
+            cells.push(paletteCells[readIndex()]);
+        }
+    }
+    return cells.join('');
+}
+
+module.exports = {
+    UNICODE_PRIVATE_USE_START,
+    AIR_BLOCK_NAME,
+    AIR_CHAR,
+    BLUEPRINT_FORMAT,
+    BLUEPRINT_VERSION,
+    PACKED_BASE,
+    textureIdToBlockId,
+    createBlockPalette,
+    cellPaletteIndex,
+    encodeBlueprintString,
+    packBlueprintString,
+    unpackBlueprintString,
+};
@@ -0,0 +1,323 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Jimp } = require('jimp');
+const { UNICODE_PRIVATE_USE_START, AIR_BLOCK_NAME, BLUEPRINT_FORMAT, BLUEPRINT_VERSION, cellPaletteIndex } = require('./blueprint');
+const { ORIENTATIONS, getFaceDirection, getPlacement } = require('./orientation');
+const { buildBillOfMaterials, formatBillOfMaterialsCsv } = require('./materials');
+const { resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+const { loadBlockTable, getBlockFaceTexture, drawTexture } = require('./block_render');
+
+// Reads back what convert and animate write, <base>.json (see buildBlueprint in
+// outputs.js), and previews, counts and compares it. Blueprints from before the
+// format was versioned are a <base>.txt of 0xE000 + blockId characters next to a
+// <base>.json with the size only. Block ID 0 is air.
+const SUBSTITUTION_PREVIEW_LINES = 20;
+// Heat map: unchanged blocks are dimmed to this, changed ones tinted red by this much.
+const HEATMAP_UNCHANGED_BRIGHTNESS = 0.35;
+const HEATMAP_CHANGED_TINT = 0.6;
+
+// Either file of a blueprint, or their common base, names both.
+function getBlueprintPaths(file) {
+    const extension = path.extname(file).toLowerCase();
+    const base = extension === '.txt' || extension === '.json' ? file.slice(0, -extension.length) : file;
+    return { base, stringPath: base + '.txt', configPath: base + '.json' };
+}
+
+function checkCellCount(cellCount, width, height, file) {
+    if (!Number.isInteger(width) || !Number.isInteger(height)) throw new Error(`${file} has no width and height.`);
+    if (cellCount !== width * height) throw new Error(`${file} holds ${cellCount} cells, but says ${width}x${height} = ${width * height}.`);
+}
+
+// Palette entries are looked up by name, so the block IDs follow the game's current
+// numbering; a name the block table doesn't know keeps the ID it was converted with.
+function readPaletteBlueprint(blueprint, configPath, blockTable) {
+    const { width, height, palette, rows } = blueprint;
+    const cells = Array.from(rows.join(''));
+    checkCellCount(cells.length, width, height, configPath);
+
+    const unknownNames = [];
+    const paletteIds = palette.map(({ name, blockId }) => {
+        if (name === AIR_BLOCK_NAME) return 0;
+        const block = blockTable.blocksByName.get(name);
+        if (block) return block.blockId;
+        unknownNames.push(name);
+        return blockId;
+    });
+    if (unknownNames.length > 0) {
+        console.warn(`Warning: ${configPath} uses blocks missing from the block table, shown by the IDs they had when converted: ${unknownNames.join(', ')}.`);
+    }
+
+    return cells.map((cell, index) => {
+        const paletteIndex = cellPaletteIndex(cell);
+        if (paletteIndex < 0 || paletteIndex >= paletteIds.length) throw new Error(`${configPath} has a cell outside its palette at cell ${index}.`);
+        return paletteIds[paletteIndex];
+    });
+}
+
+async function readLegacyBlueprint({ width, height }, stringPath) {
+    const cells = Array.from(await fs.readFile(stringPath, 'utf-8'));
+    checkCellCount(cells.length, width, height, stringPath);
+    const blockIds = cells.map(cell => cell.codePointAt(0) - UNICODE_PRIVATE_USE_START);
+    const invalid = blockIds.findIndex(blockId => blockId < 0);
+    if (invalid >= 0) throw new Error(`${stringPath} has a character outside the blueprint range at cell ${invalid}.`);
+    return blockIds;
+}
+
+// Resolves to { width, height, blockIds, base, metadata }, blockIds row by row from the
+// top; metadata is the whole blueprint file, or null for an unversioned one.
+async function loadBlueprint(file, blockTable) {
+    const { base, stringPath, configPath } = getBlueprintPaths(file);
+    const config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    if (config.format === undefined) {
+        return { width: config.width, height: config.height, blockIds: await readLegacyBlueprint(config, stringPath), base, metadata: null };
+    }
+    if (config.format !== BLUEPRINT_FORMAT) throw new Error(`${configPath} is not a blueprint (format "${config.format}").`);
+    if (!(config.version <= BLUEPRINT_VERSION)) throw new Error(`${configPath} is blueprint version ${config.version}; this version reads up to ${BLUEPRINT_VERSION}.`);
+    return { width: config.width, height: config.height, blockIds: readPaletteBlueprint(config, configPath, blockTable), base, metadata: config };
+}
+
+// Counts per block as in the bill of materials, plus the air cells. A filled relief
+// takes a block per layer up to each cell's depth.
+function getBlueprintStats(blueprint, blockTable, stackSize) {
+    const relief = blueprint.metadata && blueprint.metadata.relief;
+    const depths = relief && relief.fillBehind ? relief.depths.join('') : null;
+    const counts = new Map();
+    let air = 0;
+    blueprint.blockIds.forEach((blockId, cell) => {
+        if (blockId === 0) air++;
+        else counts.set(blockId, (counts.get(blockId) || 0) + (depths ? parseInt(depths[cell], 36) + 1 : 1));
+    });
+    const bill = buildBillOfMaterials(counts, Object.fromEntries(blockTable.namesById), stackSize);
+    const blocks = bill.reduce((total, item) => total + item.count, 0);
+    return { width: blueprint.width, height: blueprint.height, blocks, air, bill };
+}
+
+// The blueprint as its viewer sees it built: { width, height, blockIds, depths,
+// fillBehind }, cells row by row from the top once the placement's mirror and rotate
+// are applied through the same columnStep and rowStep the draw script steps by (see
+// getPlacement). depths are each cell's relief depth, 0 without a relief.
+function orientBlueprint(blueprint) {
+    const metadata = blueprint.metadata;
+    const relief = metadata && metadata.relief;
+    const storedDepths = relief ? relief.depths.join('') : null;
+    const depthAt = (cell) => (storedDepths ? parseInt(storedDepths[cell], 36) : 0);
+    const stored = metadata && metadata.placement;
+    const placement = stored && !stored.columnStep ? getPlacement({ ...stored, width: blueprint.width, height: blueprint.height }) : stored;
+
+    // Legacy blueprints say nothing of their placement: drawn as stored.
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const { right, up } = placement ? ORIENTATIONS[stored.orientation] : { right: [1, 0, 0], up: [0, 1, 0] };
+    const { columnStep, rowStep } = placement || { columnStep: [1, 0, 0], rowStep: [0, -1, 0] };
+    const across = [dot(columnStep, right), dot(rowStep, right)];
+    const upward = [dot(columnStep, up), dot(rowStep, up)];
+    const lastColumn = blueprint.width - 1, lastRow = blueprint.height - 1;
+    const left = Math.min(0, across[0] * lastColumn) + Math.min(0, across[1] * lastRow);
+    const top = Math.max(0, upward[0] * lastColumn) + Math.max(0, upward[1] * lastRow);
+    const turned = across[0] === 0;
+    const width = turned ? blueprint.height : blueprint.width, height = turned ? blueprint.width : blueprint.height;
+
+    const blockIds = new Array(width * height);
+    const depths = new Array(width * height);
+    blueprint.blockIds.forEach((blockId, cell) => {
+        const column = cell % blueprint.width, row = Math.floor(cell / blueprint.width);
+        const x = across[0] * column + across[1] * row - left;
+        const y = top - (upward[0] * column + upward[1] * row);
+        blockIds[y * width + x] = blockId;
+        depths[y * width + x] = depthAt(cell);
+    });
+    return { width, height, blockIds, depths, fillBehind: Boolean(relief && relief.fillBehind) };
+}
+
+// Resolves to the blueprint drawn as the viewer sees `face` of each block, laid out as
+// it is built (see orientBlueprint).
+async function renderBlueprint(blueprint, { blockTable, textureLoader, textureSize, face }) {
+    const view = orientBlueprint(blueprint);
+    const image = new Jimp({ width: view.width * textureSize, height: view.height * textureSize });
+    for (let cell = 0; cell < view.blockIds.length; cell++) {
+        const blockId = view.blockIds[cell];
+        if (blockId === 0) continue;
+        const texture = await getBlockFaceTexture(blockTable.blocksById.get(blockId), face, textureLoader);
+        drawTexture(image.bitmap, texture, (cell % view.width) * textureSize, Math.floor(cell / view.width) * textureSize, textureSize);
+    }
+    return image;
+}
+
+// Compares two blueprints cell by cell, as they are built (see orientBlueprint). Both
+// are aligned at their bottom-left corner, where the scripts anchor them; where only one
+// has a cell, the other counts as air. A block that stays but moves to another relief
+// depth (or gains or loses the fill behind it) counts as moved.
+// Returns { width, height, changed, placed, cleared, replaced, moved, changedCells,
+// substitutions }, with substitutions [{ fromId, toId, count }] most frequent first.
+function diffBlueprints(before, after) {
+    const views = [orientBlueprint(before), orientBlueprint(after)];
+    const width = Math.max(views[0].width, views[1].width), height = Math.max(views[0].height, views[1].height);
+    const cellAt = (view, x, y) => {
+        const row = y - (height - view.height);
+        if (x >= view.width || row < 0) return { blockId: 0, depth: 0, filled: false };
+        const depth = view.depths[row * view.width + x];
+        return { blockId: view.blockIds[row * view.width + x], depth, filled: view.fillBehind && depth > 0 };
+    };
+
+    const changedCells = new Uint8Array(width * height);
+    const substitutions = new Map();
+    let placed = 0, cleared = 0, replaced = 0, moved = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const from = cellAt(views[0], x, y), to = cellAt(views[1], x, y);
+            const fromId = from.blockId, toId = to.blockId;
+            if (fromId === toId) {
+                if (fromId === 0 || (from.depth === to.depth && from.filled === to.filled)) continue;
+                changedCells[y * width + x] = 1;
+                moved++;
+                continue;
+            }
+            changedCells[y * width + x] = 1;
+            if (fromId === 0) placed++;
+            else if (toId === 0) cleared++;
+            else replaced++;
+            const key = `${fromId},${toId}`;
+            substitutions.set(key, (substitutions.get(key) || 0) + 1);
+        }
+    }
+    return {
+        width,
+        height,
+        changed: placed + cleared + replaced + moved,
+        placed,
+        cleared,
+        replaced,
+        moved,
+        changedCells,
+        substitutions: Array.from(substitutions, ([key, count]) => {
+            const [fromId, toId] = key.split(',').map(Number);
+            return { fromId, toId, count };
+        }).sort((a, b) => b.count - a.count || a.fromId - b.fromId || a.toId - b.toId),
+    };
+}
+
+// The new blueprint (or the old one where a block was cleared), dimmed where nothing
+// changes and tinted red where a block has to be placed, replaced or cleared.
+async function renderDiffHeatmap(before, after, diff, renderOptions) {
+    const { textureSize } = renderOptions;
+    const image = new Jimp({ width: diff.width * textureSize, height: diff.height * textureSize });
+    const afterImage = await renderBlueprint(after, renderOptions);
+    const beforeImage = await renderBlueprint(before, renderOptions);
+    // Bottom-left aligned, as in diffBlueprints.
+    image.composite(beforeImage, 0, image.bitmap.height - beforeImage.bitmap.height);
+    const data = image.bitmap.data;
+    const afterTop = image.bitmap.height - afterImage.bitmap.height;
+    for (let y = 0; y < diff.height * textureSize; y++) {
+        for (let x = 0; x < diff.width * textureSize; x++) {
+            const cell = Math.floor(y / textureSize) * diff.width + Math.floor(x / textureSize);
+            const index = (y * image.bitmap.width + x) * 4;
+            const inAfter = x < afterImage.bitmap.width && y >= afterTop;
+            const afterIndex = inAfter ? ((y - afterTop) * afterImage.bitmap.width + x) * 4 : -1;
+            // Show the new block, unless the cell is cleared: then what goes away.
+            if (inAfter && afterImage.bitmap.data[afterIndex + 3] > 0) data.set(afterImage.bitmap.data.subarray(afterIndex, afterIndex + 4), index);
+            if (diff.changedCells[cell]) {
+                data[index] = Math.round(data[index] * (1 - HEATMAP_CHANGED_TINT) + 255 * HEATMAP_CHANGED_TINT);
+                data[index + 1] = Math.round(data[index + 1] * (1 - HEATMAP_CHANGED_TINT));
+                data[index + 2] = Math.round(data[index + 2] * (1 - HEATMAP_CHANGED_TINT));
+                data[index + 3] = 255;
+            } else {
+                for (let c = 0; c < 3; c++) data[index + c] = Math.round(data[index + c] * HEATMAP_UNCHANGED_BRIGHTNESS);
+            }
+        }
+    }
+    return image;
+}
+
+function formatSubstitutionsCsv(substitutions, namesById) {
+    const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const name = (blockId) => escape(namesById.get(blockId) || `Unknown block ${blockId}`);
+    return ['from_block_id,from_block_name,to_block_id,to_block_name,count', ...substitutions.map(({ fromId, toId, count }) => `${fromId},${name(fromId)},${toId},${name(toId)},${count}`)].join('\n') + '\n';
+}
+
+async function loadRenderOptions(options) {
+    return {
+        blockTable: await loadBlockTable(options.blockTextureMapFile),
+        textureLoader: createTextureLoader(options.texturesDir, options.textureSize),
+        textureSize: options.textureSize,
+        face: getFaceDirection(options.view),
+    };
+}
+
+// Prints the size and the blocks of a blueprint. `options` are the "stats" options
+// (see options.js). Resolves to { width, height, blocks, air, bill }.
+async function printBlueprintStats(file, options = {}) {
+    options = resolveOptions('stats', options);
+    const blockTable = await loadBlockTable(options.blockTextureMapFile);
+    const blueprint = await loadBlueprint(file, blockTable);
+    const stats = getBlueprintStats(blueprint, blockTable, options.stackSize);
+    console.log(`${blueprint.base}: ${stats.width}x${stats.height}, ${stats.blocks} blocks of ${stats.bill.length} types, ${stats.air} air.`);
+    const { metadata } = blueprint;
+    if (metadata) {
+        const frames = metadata.frameTicks ? `, ${metadata.frameCount} frames over ${metadata.frameTicks.reduce((total, ticks) => total + ticks, 0)} ticks (this is the first)` : '';
+        console.log(`Converted from ${metadata.source.file} (${metadata.source.kind}), facing ${metadata.placement.orientation}${frames}.`);
+        if (metadata.relief) console.log(`A relief up to ${metadata.relief.maxDepth} blocks deep${metadata.relief.fillBehind ? ', filled behind' : ''}.`);
+    }
+    for (const item of stats.bill) {
+        console.log(`  ${String(item.count).padStart(7)}  ${(100 * item.count / stats.blocks).toFixed(1).padStart(5)}%  ${item.name} (${item.blockId}, ${item.stacks} stack${item.stacks === 1 ? '' : 's'})`);
+    }
+    if (options.statsFile) {
+        await fs.writeFile(options.statsFile, formatBillOfMaterialsCsv(stats.bill), 'utf-8');
+        console.log(`Block counts saved to ${options.statsFile}`);
+    }
+    return stats;
+}
+
+// Renders a blueprint to a PNG. `options` are the "preview" options (see options.js).
+// Resolves to the path written.
+async function previewBlueprint(file, options = {}) {
+    options = resolveOptions('preview', options);
+    const renderOptions = await loadRenderOptions(options);
+    const blueprint = await loadBlueprint(file, renderOptions.blockTable);
+    const image = await renderBlueprint(blueprint, renderOptions);
+    const renderFile = options.renderFile ?? blueprint.base + '_preview.png';
+    await image.write(renderFile);
+    console.log(`Preview of ${image.bitmap.width / options.textureSize}x${image.bitmap.height / options.textureSize} blocks saved to ${renderFile}`);
+    return renderFile;
+}
+
+// Compares two blueprints: prints what changes, writes a heat map PNG and the block
+// substitutions as CSV. `options` are the "diff" options (see options.js).
+// Resolves to { diff, outputs }.
+async function compareBlueprints(beforeFile, afterFile, options = {}) {
+    options = resolveOptions('diff', options);
+    const renderOptions = await loadRenderOptions(options);
+    const before = await loadBlueprint(beforeFile, renderOptions.blockTable);
+    const after = await loadBlueprint(afterFile, renderOptions.blockTable);
+    const { namesById } = renderOptions.blockTable;
+    const diff = diffBlueprints(before, after);
+    const name = (blockId) => namesById.get(blockId) || `Unknown block ${blockId}`;
+
+    const [beforeView, afterView] = [before, after].map(orientBlueprint);
+    if (beforeView.width !== afterView.width || beforeView.height !== afterView.height) {
+        console.log(`Sizes differ: ${beforeView.width}x${beforeView.height} before, ${afterView.width}x${afterView.height} after, as built; compared bottom-left aligned.`);
+    }
+    const total = diff.width * diff.height;
+    console.log(`${diff.changed} of ${total} cells change (${(100 * diff.changed / total).toFixed(1)}%): ${diff.replaced} replaced, ${diff.placed} placed on air, ${diff.cleared} cleared to air, ${diff.moved} moved to another depth.`);
+    for (const { fromId, toId, count } of diff.substitutions.slice(0, SUBSTITUTION_PREVIEW_LINES)) {
+        console.log(`  ${String(count).padStart(7)}  ${name(fromId)} -> ${name(toId)}`);
+    }
+    if (diff.substitutions.length > SUBSTITUTION_PREVIEW_LINES) console.log(`  ... ${diff.substitutions.length - SUBSTITUTION_PREVIEW_LINES} more substitutions in the CSV`);
+
+    const renderFile = options.renderFile ?? after.base + '_diff.png';
+    const csvFile = renderFile.replace(/\.png$/i, '') + '.csv';
+    await (await renderDiffHeatmap(before, after, diff, renderOptions)).write(renderFile);
+    await fs.writeFile(csvFile, formatSubstitutionsCsv(diff.substitutions, namesById), 'utf-8');
+    console.log(`Heat map saved to ${renderFile}, substitutions to ${csvFile}`);
+    return { diff, outputs: { heatmap: renderFile, substitutions: csvFile } };
+}
+
+module.exports = {
+    loadBlueprint,
+    getBlueprintStats,
+    orientBlueprint,
+    renderBlueprint,
+    diffBlueprints,
+    printBlueprintStats,
+    previewBlueprint,
+    compareBlueprints,
+};
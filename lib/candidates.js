@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const { calculatePerceivedColor, calculateColorVariance } = require('./color');
+const { getFaceDirection } = require('./orientation');
+const { filterTexturePalette } = require('./block_filter');
+const { rankTextureBlocks } = require('./block_resolver');
+
+async function loadTextureIndex(indexFile) {
+    return JSON.parse(await fs.readFile(indexFile, 'utf-8'));
+}
+
+// Picks the textures a conversion may use. The index's texture palette is first
+// narrowed to the allowed blocks and ranked (see block_resolver.js); that ranked
+// palette is returned and is the one to turn choices into blocks with, so blueprints
+// only ever name allowed blocks, best fit first.
+// Candidates are { textureInfo, perceivedColor, texturePixels }; translucent ones are
+// the textures with see-through pixels, used when translucentBelow is set.
+async function prepareCandidates(textureData, options, textureLoader, log = console.log) {
+    log("Preparing candidate textures based on your config...");
+    const faceDirection = getFaceDirection(options.orientation);
+    const faceIndex = textureData.face_index[faceDirection];
+    if (!faceIndex) {
+        throw new Error(`Face direction "${faceDirection}" not found in index file.`);
+    }
+
+    const validTextureIdsForFace = new Set(Object.values(faceIndex).flat());
+    const candidates = [];
+    const translucentCandidates = [];
+    const unsuitable = [];
+
+    const blockTextureMap = JSON.parse(await fs.readFile(options.blockTextureMapFile, 'utf-8'));
+    const allowedPalette = filterTexturePalette(textureData.texture_palette, textureData.block_map, options.blockFilter);
+    const texturePalette = rankTextureBlocks(allowedPalette, blockTextureMap, textureData.block_map, faceDirection, options.blockPreferences);
+
+    for (const texture of texturePalette) {
+        if (!validTextureIdsForFace.has(texture.textureId)) continue;
+        if (texture.blockIds.length === 0) continue;
+        // Only blocks using this texture on another face are left; placing one would show something else.
+        if (!texture.block.showsTexture) continue;
+        if (options.maxColorCount !== null && texture.colorCount > options.maxColorCount) continue;
+        const useAsTranslucent = texture.hasTransparency && options.translucentBelow !== null;
+        if (!options.allowTransparency && texture.hasTransparency && !useAsTranslucent) continue;
+        if (options.maxVariance !== null) {
+            const variance = calculateColorVariance(texture, options.colorMetric, options.linearLightAveraging);
+            if (variance > options.maxVariance) {
+                continue;
+            }
+        }
+        if (options.skipUnsuitableBlocks && !texture.block.suitable) {
+            unsuitable.push(texture.block.blockName);
+            continue;
+        }
+        const perceivedColor = calculatePerceivedColor(texture, options.searchDepth ?? Infinity, options.linearLightAveraging);
+        if (perceivedColor) {
+            const texturePixels = (await textureLoader.getTextureImage(texture)).bitmap.data;
+            const candidate = { textureInfo: texture, perceivedColor, texturePixels };
+            if (useAsTranslucent) translucentCandidates.push(candidate);
+            if (!texture.hasTransparency || options.allowTransparency) candidates.push(candidate);
+        }
+    }
+
+    if (unsuitable.length > 0) {
+        log(`Skipped ${unsuitable.length} texture(s) only unsuitable blocks show (skipUnsuitableBlocks): ${unsuitable.join(', ')}.`);
+    }
+    if (candidates.length === 0) {
+        throw new Error('No candidate textures found with the specified filters. Try adjusting your config.');
+    }
+    if (options.translucentBelow !== null && translucentCandidates.length === 0) {
+        throw new Error('translucentBelow is set, but no textures with transparency passed the filters.');
+    }
+    log(`Prepared ${candidates.length} valid candidate textures${translucentCandidates.length > 0 ? ` and ${translucentCandidates.length} translucent ones` : ''}.`);
+    return { texturePalette, candidates, translucentCandidates };
+}
+
+module.exports = {
+    loadTextureIndex,
+    prepareCandidates,
+};
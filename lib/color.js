@@ -0,0 +1,129 @@
+const convert = require('color-convert').default;
+const DeltaE = require('delta-e');
+
+const COLOR_METRICS = ['rgb', 'redmean', 'cie76', 'cie94', 'ciede2000'];
+
+function srgbToLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const v = Math.min(1, Math.max(0, value));
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(c * 255);
+}
+
+function rgbToLab(rgb) {
+    const [L, A, B] = convert.rgb.lab.raw(rgb.r, rgb.g, rgb.b);
+    return { L, A, B };
+}
+
+// Pixels and perceived colors are compared as { r, g, b, lab } so the Lab
+// conversion only happens once per color, not once per distance call.
+function toMatchColor(rgb) {
+    return { r: rgb.r, g: rgb.g, b: rgb.b, lab: rgbToLab(rgb) };
+}
+
+function validateColorMetric(metric) {
+    if (!COLOR_METRICS.includes(metric)) {
+        throw new Error(`Unknown color metric "${metric}". Expected one of: ${COLOR_METRICS.join(', ')}.`);
+    }
+    return metric;
+}
+
+function colorDistance(color1, color2, metric = 'rgb') {
+    switch (metric) {
+        case 'rgb': {
+            const rDiff = color1.r - color2.r;
+            const gDiff = color1.g - color2.g;
+            const bDiff = color1.b - color2.b;
+            return Math.sqrt(rDiff * rDiff + gDiff * gDiff + bDiff * bDiff);
+        }
+        case 'redmean': {
+            const rMean = (color1.r + color2.r) / 2;
+            const rDiff = color1.r - color2.r;
+            const gDiff = color1.g - color2.g;
+            const bDiff = color1.b - color2.b;
+            return Math.sqrt((2 + rMean / 256) * rDiff * rDiff + 4 * gDiff * gDiff + (2 + (255 - rMean) / 256) * bDiff * bDiff);
+        }
+        case 'cie76':
+            return DeltaE.getDeltaE76(color1.lab, color2.lab);
+        case 'cie94':
+            return DeltaE.getDeltaE94(color1.lab, color2.lab);
+        case 'ciede2000':
+            return DeltaE.getDeltaE00(color1.lab, color2.lab);
+        default:
+            throw new Error(`Unknown color metric "${metric}".`);
+    }
+}
+
+function hexToRgb(hex) {
+    if (hex === '#transparent') return null;
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return { r, g, b };
+}
+
+function calculatePerceivedColor(texture, depth, linearLight = true) {
+    let totalR = 0, totalG = 0, totalB = 0;
+    let totalPixels = 0;
+    const limit = Math.min(depth, texture.colorHexes.length);
+
+    for (let i = 0; i < limit; i++) {
+        const count = texture.colorPixelCounts[i];
+        const rgb = hexToRgb(texture.colorHexes[i]);
+        if (!rgb) continue;
+
+        if (linearLight) {
+            totalR += srgbToLinear(rgb.r) * count;
+            totalG += srgbToLinear(rgb.g) * count;
+            totalB += srgbToLinear(rgb.b) * count;
+        } else {
+            totalR += rgb.r * count;
+            totalG += rgb.g * count;
+            totalB += rgb.b * count;
+        }
+        totalPixels += count;
+    }
+    if (totalPixels === 0) return null;
+
+    const mean = linearLight
+        ? { r: linearToSrgb(totalR / totalPixels), g: linearToSrgb(totalG / totalPixels), b: linearToSrgb(totalB / totalPixels) }
+        : { r: Math.round(totalR / totalPixels), g: Math.round(totalG / totalPixels), b: Math.round(totalB / totalPixels) };
+    return toMatchColor(mean);
+}
+
+function calculateColorVariance(texture, metric = 'rgb', linearLight = true) {
+    if (texture.colorCount <= 1) return 0;
+    const meanColor = calculatePerceivedColor(texture, Infinity, linearLight);
+    if (!meanColor) return 0;
+
+    let totalWeightedDistance = 0;
+    let totalPixels = 0;
+
+    for (let i = 0; i < texture.colorHexes.length; i++) {
+        const count = texture.colorPixelCounts[i];
+        const rgb = hexToRgb(texture.colorHexes[i]);
+        if (!rgb) continue;
+
+        totalWeightedDistance += colorDistance(toMatchColor(rgb), meanColor, metric) * count;
+        totalPixels += count;
+    }
+    if (totalPixels === 0) return 0;
+    return totalWeightedDistance / totalPixels;
+}
+
+module.exports = {
+    COLOR_METRICS,
+    srgbToLinear,
+    linearToSrgb,
+    rgbToLab,
+    toMatchColor,
+    validateColorMetric,
+    colorDistance,
+    hexToRgb,
+    calculatePerceivedColor,
+    calculateColorVariance,
+};
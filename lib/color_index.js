@@ -0,0 +1,141 @@
+const { colorDistance } = require('./color');
+
+// The metrics that are plain Euclidean distances in the space the tree is built in
+// only need the single nearest point. The others are re-ranked from a shortlist. Then
+// every point the tree distance can't rule out is checked too (see lowerBoundFactor),
+// so the index always finds what a linear scan finds.
+const EXACT_METRICS = new Set(['rgb', 'cie76']);
+const RERANK_SHORTLIST_SIZE = 8;
+// Slack for rounding in the distances compared against the bound.
+const BOUND_TOLERANCE = 1e-9;
+const MATCH_CACHE_LIMIT = 1 << 20;
+// sin(60°), the most CIEDE2000's rotation term can take off: x² + y² + RT·x·y with
+// |RT| <= 2·sin(60°) is at least (1 - sin(60°))·(x² + y²).
+const CIEDE2000_ROTATION_LOSS = Math.sin(Math.PI / 3);
+// S_L of CIEDE2000 at its largest, for L̄ 0 or 100.
+const CIEDE2000_MAX_SL = 1 + (0.015 * 2500) / Math.sqrt(20 + 2500);
+
+function toPoint(color, metric) {
+    if (metric === 'rgb' || metric === 'redmean') return [color.r, color.g, color.b];
+    return [color.lab.L, color.lab.A, color.lab.B];
+}
+
+function chroma(color) {
+    return Math.hypot(color.lab.A, color.lab.B);
+}
+
+// f such that colorDistance(a, b, metric) >= f * (tree distance of a and b) when a
+// has Lab chroma `chroma` and b at most maxChroma.
+//   redmean    its channel weights are at least 2, 4 and 2
+//   cie94      S_C >= S_H >= 1 grow with chroma, and ΔC² + ΔH² = Δa² + Δb²
+//   ciede2000  as cie94, with a' up to 1.5·a, S_L up to CIEDE2000_MAX_SL and the
+//              rotation term taking off at most CIEDE2000_ROTATION_LOSS
+function lowerBoundFactor(metric, chroma, maxChroma) {
+    switch (metric) {
+        case 'redmean':
+            return Math.SQRT2;
+        case 'cie94':
+            return 1 / (1 + 0.045 * Math.max(chroma, maxChroma));
+        case 'ciede2000': {
+            const maxSC = 1 + 0.045 * 1.5 * (chroma + maxChroma) / 2;
+            return Math.min(1 / CIEDE2000_MAX_SL, Math.sqrt(1 - CIEDE2000_ROTATION_LOSS) / maxSC);
+        }
+        default:
+            return 1;
+    }
+}
+
+function buildKdTree(entries, depth = 0) {
+    if (entries.length === 0) return null;
+    const axis = depth % 3;
+    entries.sort((a, b) => a.point[axis] - b.point[axis]);
+    const middle = entries.length >> 1;
+    return {
+        entry: entries[middle],
+        axis,
+        left: buildKdTree(entries.slice(0, middle), depth + 1),
+        right: buildKdTree(entries.slice(middle + 1), depth + 1),
+    };
+}
+
+function squaredDistance(p1, p2) {
+    const d0 = p1[0] - p2[0], d1 = p1[1] - p2[1], d2 = p1[2] - p2[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+}
+
+// `best` is kept sorted by ascending distance and never grows past k.
+function searchKdTree(node, point, k, best) {
+    if (!node) return;
+    const distance = squaredDistance(point, node.entry.point);
+    if (best.length < k || distance < best[best.length - 1].distance) {
+        let i = best.length;
+        while (i > 0 && best[i - 1].distance > distance) i--;
+        best.splice(i, 0, { entry: node.entry, distance });
+        if (best.length > k) best.pop();
+    }
+
+    const diff = point[node.axis] - node.entry.point[node.axis];
+    const near = diff < 0 ? node.left : node.right;
+    const far = diff < 0 ? node.right : node.left;
+    searchKdTree(near, point, k, best);
+    if (best.length < k || diff * diff < best[best.length - 1].distance) {
+        searchKdTree(far, point, k, best);
+    }
+}
+
+// Calls visit(entry) for every entry within sqrt(squaredRadius) of point.
+function searchKdTreeRadius(node, point, squaredRadius, visit) {
+    if (!node) return;
+    if (squaredDistance(point, node.entry.point) <= squaredRadius) visit(node.entry);
+    const diff = point[node.axis] - node.entry.point[node.axis];
+    if (diff <= 0 || diff * diff <= squaredRadius) searchKdTreeRadius(node.left, point, squaredRadius, visit);
+    if (diff >= 0 || diff * diff <= squaredRadius) searchKdTreeRadius(node.right, point, squaredRadius, visit);
+}
+
+// Returns { nearest(matchColor) -> { candidate, distance } | null }: the candidate a
+// linear scan with colorDistance picks, the first of `candidates` at the least distance.
+// Results are memoized per exact RGB value, which is what makes long animations cheap.
+function buildColorIndex(candidates, metric) {
+    const entries = candidates.map((candidate, order) => ({ candidate, order, point: toPoint(candidate.perceivedColor, metric) }));
+    const root = buildKdTree(entries);
+    const shortlistSize = EXACT_METRICS.has(metric) ? 1 : RERANK_SHORTLIST_SIZE;
+    const maxCandidateChroma = candidates.reduce((max, candidate) => Math.max(max, chroma(candidate.perceivedColor)), 0);
+    const cache = new Map();
+
+    const nearest = (color) => {
+        const key = (color.r << 16) | (color.g << 8) | color.b;
+        const cached = cache.get(key);
+        if (cached !== undefined) return cached;
+
+        const point = toPoint(color, metric);
+        const shortlist = [];
+        searchKdTree(root, point, shortlistSize, shortlist);
+        let best = null;
+        const consider = (entry) => {
+            const distance = colorDistance(color, entry.candidate.perceivedColor, metric);
+            if (!best || distance < best.distance || (distance === best.distance && entry.order < best.entry.order)) best = { entry, distance };
+        };
+        for (const { entry } of shortlist) consider(entry);
+
+        // A closer (or equally close, earlier) candidate can only be this near in the
+        // tree's space; the shortlist is seen again, which changes nothing.
+        if (best && shortlist.length === shortlistSize) {
+            const radius = best.distance / lowerBoundFactor(metric, chroma(color), maxCandidateChroma) * (1 + BOUND_TOLERANCE) + BOUND_TOLERANCE;
+            searchKdTreeRadius(root, point, radius * radius, consider);
+        }
+        const result = best && { candidate: best.entry.candidate, distance: best.distance };
+
+        if (cache.size >= MATCH_CACHE_LIMIT) cache.clear();
+        cache.set(key, result);
+        return result;
+    };
+
+    return { nearest };
+}
+
+module.exports = {
+    buildKdTree,
+    searchKdTree,
+    searchKdTreeRadius,
+    buildColorIndex,
+};
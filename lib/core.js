@@ -0,0 +1,53 @@
+// Programmatic API, the same steps the CLI (cli.js) runs:
+//
+//   const bloxd = require('./lib/core');
+//   await bloxd.buildTextureIndex();                          // node cli.js index
+//   await bloxd.convertImage('cat.png', { outputWidth: 64 }); // node cli.js convert cat.png --output-width 64
+//   await bloxd.convertAnimation('cat.gif', { dither: 'bayer' });
+//   await bloxd.simulateScripts(['cat_bloxelized_draw.js']);   // node cli.js simulate cat_bloxelized_draw.js
+//   await bloxd.compareBlueprints('old.json', 'new.json');      // node cli.js diff old.json new.json
+//
+// Every function takes a plain options object; anything left out takes the default
+// of that command (getDefaultOptions(command), descriptions in OPTION_SPECS), and
+// invalid values throw before any work is done. Progress is logged to the console.
+//
+// For custom pipelines: loadTextureIndex(indexFile) reads the index and
+// prepareCandidates(textureData, options, createTextureLoader(texturesDir, textureSize))
+// returns { texturePalette, candidates, translucentCandidates } for the configured
+// orientation, block filter and texture limits. createSimulator({ blockTable:
+// await loadBlockTable(blockTextureMapFile) }) runs scripts tick by tick under your
+// control, and renderWorld draws its world. loadBlueprint(file, blockTable) reads a
+// blueprint back for getBlueprintStats, renderBlueprint and diffBlueprints.
+const { COMMANDS, OPTION_SPECS, getDefaultOptions, resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+const { loadTextureIndex, prepareCandidates } = require('./candidates');
+const { buildTextureIndex } = require('./texture_index');
+const { convertImage } = require('./image_converter');
+const { convertAnimation } = require('./animation_converter');
+const { loadBlockTable } = require('./block_render');
+const { createSimulator, renderWorld, simulateScripts } = require('./simulator');
+const { loadBlueprint, getBlueprintStats, renderBlueprint, diffBlueprints, printBlueprintStats, previewBlueprint, compareBlueprints } = require('./blueprint_tools');
+
+module.exports = {
+    COMMANDS,
+    OPTION_SPECS,
+    getDefaultOptions,
+    resolveOptions,
+    createTextureLoader,
+    loadTextureIndex,
+    prepareCandidates,
+    buildTextureIndex,
+    convertImage,
+    convertAnimation,
+    loadBlockTable,
+    createSimulator,
+    renderWorld,
+    simulateScripts,
+    loadBlueprint,
+    getBlueprintStats,
+    renderBlueprint,
+    diffBlueprints,
+    printBlueprintStats,
+    previewBlueprint,
+    compareBlueprints,
+};
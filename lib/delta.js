@@ -0,0 +1,113 @@
+const { AIR_CHAR, encodeBlueprintString } = require('./blueprint');
+
+// Encodes an animation as per-frame lists of changed cells. Each frame is
+//   spans:  [gap, length, gap, length, ...]  gap counts unchanged cells since the previous span
+//   blocks: one blueprint character per changed cell, in span order
+// Characters index blockPalette (see blueprint.js), which grows as frames bring new blocks.
+// Frame 0 covers every non-air cell, as if the wall started out empty. Diffs are taken
+// against what is actually on the wall, so cells deferred by the budget are retried next frame.
+// addFrame can override the budget for frames that are shown for longer.
+function createDeltaEncoder({ width, height, texturePalette, blockPalette, budget = null, changeError = null }) {
+    const cellCount = width * height;
+    let displayedChars = null;
+    let displayedTextureIds = null;
+    let firstChars = null;
+    let firstTextureIds = null;
+    const frameSpans = [];
+    const frameBlocks = [];
+    const frameStats = [];
+
+    const toFlatFrame = (choicesGrid) => {
+        if (choicesGrid.length !== height || choicesGrid[0].length !== width) {
+            throw new Error(`Frame is ${choicesGrid[0].length}x${choicesGrid.length}, expected ${width}x${height}.`);
+        }
+        return { chars: encodeBlueprintString(choicesGrid, texturePalette, blockPalette), textureIds: choicesGrid.flat() };
+    };
+
+    const encodeChanges = (changedCells, targetChars) => {
+        const spans = [];
+        const blocks = [];
+        let position = 0;
+        for (let i = 0; i < changedCells.length;) {
+            const start = changedCells[i];
+            let end = start + 1;
+            while (i + 1 < changedCells.length && changedCells[i + 1] === end) { i++; end++; }
+            i++;
+            spans.push(start - position, end - start);
+            for (let cell = start; cell < end; cell++) blocks.push(targetChars[cell]);
+            position = end;
+        }
+        return { spans, blocks: blocks.join('') };
+    };
+
+    const diff = (target, limit) => {
+        const changedCells = [];
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (target.chars[cell] !== displayedChars[cell]) changedCells.push(cell);
+        }
+
+        let appliedCells = changedCells;
+        if (limit !== null && changedCells.length > limit) {
+            const error = (cell) => (changeError ? changeError(displayedTextureIds[cell], target.textureIds[cell]) : 0);
+            appliedCells = changedCells
+                .map(cell => ({ cell, error: error(cell) }))
+                .sort((a, b) => b.error - a.error)
+                .slice(0, limit)
+                .map(({ cell }) => cell)
+                .sort((a, b) => a - b);
+        }
+
+        const chars = displayedChars.split('');
+        for (const cell of appliedCells) {
+            chars[cell] = target.chars[cell];
+            displayedTextureIds[cell] = target.textureIds[cell];
+        }
+        displayedChars = chars.join('');
+
+        return { ...encodeChanges(appliedCells, target.chars), changed: changedCells.length, applied: appliedCells.length };
+    };
+
+    return {
+        addFrame(choicesGrid, frameBudget = budget) {
+            const target = toFlatFrame(choicesGrid);
+            if (displayedChars === null) {
+                displayedChars = target.chars;
+                displayedTextureIds = target.textureIds.slice();
+                firstChars = target.chars;
+                firstTextureIds = target.textureIds.slice();
+                const solidCells = [];
+                for (let cell = 0; cell < cellCount; cell++) {
+                    if (target.chars[cell] !== AIR_CHAR) solidCells.push(cell);
+                }
+                const { spans, blocks } = encodeChanges(solidCells, target.chars);
+                frameSpans.push(spans);
+                frameBlocks.push(blocks);
+                frameStats.push({ changed: solidCells.length, applied: solidCells.length, deferred: 0, spans: spans.length / 2 });
+                return frameStats[frameStats.length - 1];
+            }
+
+            const { spans, blocks, changed, applied } = diff(target, frameBudget);
+            frameSpans.push(spans);
+            frameBlocks.push(blocks);
+            frameStats.push({ changed, applied, deferred: changed - applied, spans: spans.length / 2 });
+            return frameStats[frameStats.length - 1];
+        },
+
+        // The loop delta takes the wall from the last frame back to the first one and
+        // is never budget-limited, so every pass of the loop starts from the same state.
+        finish(loop) {
+            const result = { frameSpans: frameSpans.slice(), frameBlocks: frameBlocks.slice(), frameStats: frameStats.slice(), loopStats: null, blocks: blockPalette.entries() };
+            if (loop && frameSpans.length > 1) {
+                const { spans, blocks, changed } = diff({ chars: firstChars, textureIds: firstTextureIds }, null);
+                result.frameSpans.push(spans);
+                result.frameBlocks.push(blocks);
+                result.loopStats = { changed, applied: changed, deferred: 0, spans: spans.length / 2 };
+            }
+            return result;
+        },
+    };
+}
+
+module.exports = {
+    createDeltaEncoder,
+};
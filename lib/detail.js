@@ -0,0 +1,186 @@
+const { srgbToLinear, linearToSrgb, rgbToLab, toMatchColor, colorDistance } = require('./color');
+
+const MATCH_MODES = ['color', 'detail'];
+const DETAIL_FEATURE_GRID = 4;
+const DETAIL_SHORTLIST_SIZE = 24;
+const LAB_CACHE_LIMIT = 1 << 20;
+
+const labCache = new Map();
+
+function validateMatchMode(mode) {
+    if (!MATCH_MODES.includes(mode)) {
+        throw new Error(`Unknown match mode "${mode}". Expected one of: ${MATCH_MODES.join(', ')}.`);
+    }
+    return mode;
+}
+
+function rgbToLabCached(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    let lab = labCache.get(key);
+    if (!lab) {
+        if (labCache.size >= LAB_CACHE_LIMIT) labCache.clear();
+        lab = rgbToLab({ r, g, b });
+        labCache.set(key, lab);
+    }
+    return lab;
+}
+
+// Reads a size x size block of an RGBA bitmap. Pixels with any transparency are
+// left out of the comparison, the same way the texture index treats them.
+function readPatch(bitmap, left, top, size) {
+    const rgb = new Uint8ClampedArray(size * size * 3);
+    const opaque = new Uint8Array(size * size);
+    let totalR = 0, totalG = 0, totalB = 0, opaqueCount = 0;
+
+    for (let py = 0; py < size; py++) {
+        const sy = Math.min(bitmap.height - 1, top + py);
+        for (let px = 0; px < size; px++) {
+            const sx = Math.min(bitmap.width - 1, left + px);
+            const src = (sy * bitmap.width + sx) * 4;
+            const dst = py * size + px;
+            rgb[dst * 3] = bitmap.data[src];
+            rgb[dst * 3 + 1] = bitmap.data[src + 1];
+            rgb[dst * 3 + 2] = bitmap.data[src + 2];
+            if (bitmap.data[src + 3] < 255) continue;
+            opaque[dst] = 1;
+            totalR += srgbToLinear(bitmap.data[src]);
+            totalG += srgbToLinear(bitmap.data[src + 1]);
+            totalB += srgbToLinear(bitmap.data[src + 2]);
+            opaqueCount++;
+        }
+    }
+
+    const meanRgb = opaqueCount === 0 ? null : {
+        r: linearToSrgb(totalR / opaqueCount),
+        g: linearToSrgb(totalG / opaqueCount),
+        b: linearToSrgb(totalB / opaqueCount),
+    };
+    return { size, rgb, opaque, opaqueCount, meanRgb };
+}
+
+// Converts a raw patch to Lab plus a coarse DETAIL_FEATURE_GRID^2 feature
+// vector. `offset` shifts every pixel, which is how dithering reaches a patch.
+function preparePatch(rawPatch, offset = null) {
+    const { size, rgb, opaque, opaqueCount } = rawPatch;
+    const pixelCount = size * size;
+    const lab = new Float32Array(pixelCount * 3);
+    const cellSize = size / DETAIL_FEATURE_GRID;
+    const featureSums = new Float32Array(DETAIL_FEATURE_GRID * DETAIL_FEATURE_GRID * 4);
+    const dr = offset ? offset.r : 0, dg = offset ? offset.g : 0, db = offset ? offset.b : 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        if (!opaque[i]) continue;
+        const pixelLab = rgbToLabCached(
+            Math.round(Math.min(255, Math.max(0, rgb[i * 3] + dr))),
+            Math.round(Math.min(255, Math.max(0, rgb[i * 3 + 1] + dg))),
+            Math.round(Math.min(255, Math.max(0, rgb[i * 3 + 2] + db)))
+        );
+        lab[i * 3] = pixelLab.L;
+        lab[i * 3 + 1] = pixelLab.A;
+        lab[i * 3 + 2] = pixelLab.B;
+
+        const cell = Math.floor(Math.floor(i / size) / cellSize) * DETAIL_FEATURE_GRID + Math.floor((i % size) / cellSize);
+        featureSums[cell * 4] += pixelLab.L;
+        featureSums[cell * 4 + 1] += pixelLab.A;
+        featureSums[cell * 4 + 2] += pixelLab.B;
+        featureSums[cell * 4 + 3]++;
+    }
+
+    const meanRgb = rawPatch.meanRgb && {
+        r: Math.round(Math.min(255, Math.max(0, rawPatch.meanRgb.r + dr))),
+        g: Math.round(Math.min(255, Math.max(0, rawPatch.meanRgb.g + dg))),
+        b: Math.round(Math.min(255, Math.max(0, rawPatch.meanRgb.b + db))),
+    };
+    const mean = meanRgb ? toMatchColor(meanRgb) : null;
+
+    // Cells without opaque pixels fall back to the patch mean so they neither help nor hurt.
+    const feature = new Float32Array(DETAIL_FEATURE_GRID * DETAIL_FEATURE_GRID * 3);
+    for (let cell = 0; cell < DETAIL_FEATURE_GRID * DETAIL_FEATURE_GRID; cell++) {
+        const count = featureSums[cell * 4 + 3];
+        feature[cell * 3] = count ? featureSums[cell * 4] / count : (mean ? mean.lab.L : 0);
+        feature[cell * 3 + 1] = count ? featureSums[cell * 4 + 1] / count : (mean ? mean.lab.A : 0);
+        feature[cell * 3 + 2] = count ? featureSums[cell * 4 + 2] / count : (mean ? mean.lab.B : 0);
+    }
+
+    return { size, lab, opaque, opaqueCount, feature, mean };
+}
+
+async function prepareDetailCandidates(candidates, getTextureImage, textureSize) {
+    for (const candidate of candidates) {
+        if (candidate.detail) continue;
+        const textureImage = await getTextureImage(candidate.textureInfo);
+        candidate.detail = preparePatch(readPatch(textureImage.bitmap, 0, 0, textureSize));
+    }
+    return candidates;
+}
+
+function labDistance(lab1, lab2) {
+    const dL = lab1.L - lab2.L, dA = lab1.A - lab2.A, dB = lab1.B - lab2.B;
+    return Math.sqrt(dL * dL + dA * dA + dB * dB);
+}
+
+function featureDistance(feature1, feature2) {
+    let total = 0;
+    for (let i = 0; i < feature1.length; i += 3) {
+        const dL = feature1[i] - feature2[i], dA = feature1[i + 1] - feature2[i + 1], dB = feature1[i + 2] - feature2[i + 2];
+        total += Math.sqrt(dL * dL + dA * dA + dB * dB);
+    }
+    return total / (feature1.length / 3);
+}
+
+// Mean per-pixel CIE76 distance over the pixels that are opaque in both patches.
+function structureDistance(patch, texturePatch) {
+    let total = 0, count = 0;
+    for (let i = 0; i < patch.opaque.length; i++) {
+        if (!patch.opaque[i] || !texturePatch.opaque[i]) continue;
+        const idx = i * 3;
+        const dL = patch.lab[idx] - texturePatch.lab[idx];
+        const dA = patch.lab[idx + 1] - texturePatch.lab[idx + 1];
+        const dB = patch.lab[idx + 2] - texturePatch.lab[idx + 2];
+        total += Math.sqrt(dL * dL + dA * dA + dB * dB);
+        count++;
+    }
+    return count === 0 ? null : total / count;
+}
+
+function scoreDetailMatch(patch, candidate, metric, detailWeight) {
+    const colorTerm = colorDistance(patch.mean, candidate.perceivedColor, metric);
+    const structureTerm = structureDistance(patch, candidate.detail);
+    if (structureTerm === null) return colorTerm;
+    return colorTerm * (1 - detailWeight) + structureTerm * detailWeight;
+}
+
+// Two passes: a cheap Lab/feature-vector score over every candidate picks a
+// shortlist, then only the shortlist is scored pixel by pixel with `metric`.
+// Returns the shortlist as [{ candidate, score }] sorted best first.
+function rankDetailMatches(patch, candidates, metric, detailWeight, shortlistSize = DETAIL_SHORTLIST_SIZE) {
+    if (!patch.mean) return [];
+
+    const coarse = candidates.map(candidate => ({
+        candidate,
+        score: labDistance(patch.mean.lab, candidate.perceivedColor.lab) * (1 - detailWeight)
+            + featureDistance(patch.feature, candidate.detail.feature) * detailWeight,
+    }));
+    coarse.sort((a, b) => a.score - b.score);
+
+    return coarse.slice(0, shortlistSize)
+        .map(({ candidate }) => ({ candidate, score: scoreDetailMatch(patch, candidate, metric, detailWeight) }))
+        .sort((a, b) => a.score - b.score);
+}
+
+function findBestDetailMatch(patch, candidates, metric, detailWeight, shortlistSize = DETAIL_SHORTLIST_SIZE) {
+    const ranked = rankDetailMatches(patch, candidates, metric, detailWeight, shortlistSize);
+    return ranked.length > 0 ? ranked[0] : null;
+}
+
+module.exports = {
+    MATCH_MODES,
+    DETAIL_FEATURE_GRID,
+    validateMatchMode,
+    readPatch,
+    preparePatch,
+    prepareDetailCandidates,
+    scoreDetailMatch,
+    rankDetailMatches,
+    findBestDetailMatch,
+};
@@ -0,0 +1,240 @@
+const DITHER_MODES = ['none', 'floyd-steinberg', 'atkinson', 'jarvis', 'stucki', 'bayer', 'blue-noise'];
+
+// [dx, dy, weight] relative to the current pixel, scanned left-to-right, top-to-bottom.
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+    },
+    'atkinson': {
+        // Atkinson deliberately only spreads 6/8 of the error.
+        divisor: 8,
+        taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+    },
+    'jarvis': {
+        divisor: 48,
+        taps: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1],
+        ],
+    },
+    'stucki': {
+        divisor: 42,
+        taps: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1],
+        ],
+    },
+};
+
+// Peak-to-peak offset (in 0-255 channel units) that a full-strength ordered dither adds.
+const ORDERED_DITHER_SPREAD = 64;
+const BAYER_SIZE = 8;
+const BLUE_NOISE_SIZE = 32;
+
+const thresholdMapCache = {};
+
+function validateDitherMode(mode) {
+    if (!DITHER_MODES.includes(mode)) {
+        throw new Error(`Unknown dither mode "${mode}". Expected one of: ${DITHER_MODES.join(', ')}.`);
+    }
+    return mode;
+}
+
+function isErrorDiffusionMode(mode) {
+    return Object.prototype.hasOwnProperty.call(ERROR_DIFFUSION_KERNELS, mode);
+}
+
+function createBayerMatrix(size) {
+    let matrix = [[0]];
+    while (matrix.length < size) {
+        const n = matrix.length;
+        const next = Array(n * 2).fill(null).map(() => Array(n * 2).fill(0));
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const v = matrix[y][x] * 4;
+                next[y][x] = v;
+                next[y][x + n] = v + 2;
+                next[y + n][x] = v + 3;
+                next[y + n][x + n] = v + 1;
+            }
+        }
+        matrix = next;
+    }
+    return matrix;
+}
+
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Void-and-cluster (Ulichney 1993). Seeded so every run, and every frame of an
+// animation, gets exactly the same pattern.
+function createBlueNoiseMatrix(size, sigma = 1.5) {
+    const cellCount = size * size;
+    const gaussian = new Float64Array(cellCount);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            gaussian[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const pattern = new Uint8Array(cellCount);
+    const energy = new Float64Array(cellCount);
+    const updateEnergy = (cell, sign) => {
+        const cx = cell % size, cy = Math.floor(cell / size);
+        for (let y = 0; y < size; y++) {
+            const dy = (y - cy + size) % size;
+            for (let x = 0; x < size; x++) {
+                const dx = (x - cx + size) % size;
+                energy[y * size + x] += sign * gaussian[dy * size + dx];
+            }
+        }
+    };
+    const findExtreme = (wantedValue, pickMax) => {
+        let best = -1, bestEnergy = pickMax ? -Infinity : Infinity;
+        for (let i = 0; i < cellCount; i++) {
+            if (pattern[i] !== wantedValue) continue;
+            if (pickMax ? energy[i] > bestEnergy : energy[i] < bestEnergy) {
+                bestEnergy = energy[i];
+                best = i;
+            }
+        }
+        return best;
+    };
+
+    const random = createSeededRandom(0xB10C5);
+    const initialOnes = Math.max(1, Math.floor(cellCount / 10));
+    let placed = 0;
+    while (placed < initialOnes) {
+        const cell = Math.floor(random() * cellCount);
+        if (pattern[cell]) continue;
+        pattern[cell] = 1;
+        updateEnergy(cell, 1);
+        placed++;
+    }
+
+    // Relax the initial pattern until moving the tightest cluster into the largest void is a no-op.
+    for (let guard = 0; guard < cellCount * 4; guard++) {
+        const cluster = findExtreme(1, true);
+        pattern[cluster] = 0;
+        updateEnergy(cluster, -1);
+        const voidCell = findExtreme(0, false);
+        pattern[voidCell] = 1;
+        updateEnergy(voidCell, 1);
+        if (voidCell === cluster) break;
+    }
+
+    const ranks = new Int32Array(cellCount);
+    const prototype = pattern.slice();
+    const prototypeEnergy = energy.slice();
+
+    for (let rank = initialOnes - 1; rank >= 0; rank--) {
+        const cluster = findExtreme(1, true);
+        pattern[cluster] = 0;
+        updateEnergy(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    pattern.set(prototype);
+    energy.set(prototypeEnergy);
+    for (let rank = initialOnes; rank < cellCount; rank++) {
+        const voidCell = findExtreme(0, false);
+        pattern[voidCell] = 1;
+        updateEnergy(voidCell, 1);
+        ranks[voidCell] = rank;
+    }
+
+    return Array(size).fill(null).map((_, y) => Array.from(ranks.subarray(y * size, (y + 1) * size)));
+}
+
+function getThresholdMap(mode) {
+    if (thresholdMapCache[mode]) return thresholdMapCache[mode];
+    const matrix = mode === 'bayer' ? createBayerMatrix(BAYER_SIZE) : createBlueNoiseMatrix(BLUE_NOISE_SIZE);
+    const size = matrix.length;
+    const levels = size * size;
+    // Normalized to the open interval (-0.5, 0.5) so the average offset is zero.
+    const thresholds = matrix.map(row => row.map(rank => (rank + 0.5) / levels - 0.5));
+    thresholdMapCache[mode] = { size, thresholds };
+    return thresholdMapCache[mode];
+}
+
+function clampChannel(value) {
+    return Math.min(255, Math.max(0, value));
+}
+
+// Returns { adjust(x, y, rgb), commit(x, y, adjustedRgb, chosenRgb) }.
+// adjust() gives the color to match at (x, y); commit() reports the perceived
+// color of the texture that was actually chosen so the error can be spread.
+function createDitherer(mode, strength, width, height) {
+    validateDitherMode(mode);
+    const amount = Math.min(1, Math.max(0, strength));
+
+    if (mode === 'none' || amount === 0) {
+        return { adjust: (x, y, rgb) => rgb, commit: () => {} };
+    }
+
+    if (!isErrorDiffusionMode(mode)) {
+        const { size, thresholds } = getThresholdMap(mode);
+        const spread = ORDERED_DITHER_SPREAD * amount;
+        return {
+            adjust: (x, y, rgb) => {
+                const offset = thresholds[y % size][x % size] * spread;
+                return {
+                    r: Math.round(clampChannel(rgb.r + offset)),
+                    g: Math.round(clampChannel(rgb.g + offset)),
+                    b: Math.round(clampChannel(rgb.b + offset)),
+                };
+            },
+            commit: () => {},
+        };
+    }
+
+    const kernel = ERROR_DIFFUSION_KERNELS[mode];
+    const errors = new Float32Array(width * height * 3);
+    return {
+        adjust: (x, y, rgb) => {
+            const idx = (y * width + x) * 3;
+            return {
+                r: Math.round(clampChannel(rgb.r + errors[idx])),
+                g: Math.round(clampChannel(rgb.g + errors[idx + 1])),
+                b: Math.round(clampChannel(rgb.b + errors[idx + 2])),
+            };
+        },
+        commit: (x, y, adjustedRgb, chosenRgb) => {
+            if (!chosenRgb) return;
+            const errR = (adjustedRgb.r - chosenRgb.r) * amount;
+            const errG = (adjustedRgb.g - chosenRgb.g) * amount;
+            const errB = (adjustedRgb.b - chosenRgb.b) * amount;
+            for (const [dx, dy, weight] of kernel.taps) {
+                const nx = x + dx, ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                const idx = (ny * width + nx) * 3;
+                const factor = weight / kernel.divisor;
+                errors[idx] += errR * factor;
+                errors[idx + 1] += errG * factor;
+                errors[idx + 2] += errB * factor;
+            }
+        },
+    };
+}
+
+module.exports = {
+    DITHER_MODES,
+    validateDitherMode,
+    isErrorDiffusionMode,
+    createBayerMatrix,
+    createBlueNoiseMatrix,
+    createDitherer,
+};
@@ -0,0 +1,174 @@
+// The code every draw script runs on, kept in the world code so that a draw script
+// (see generateDrawScript in playback_script.js) holds little more than its picture:
+// it calls drawPicture(action, picture) with
+//   tag, width, height    the drawing's scheduler tag and size in cells
+//   cells                 the blueprint characters, row by row from the top, or
+//   packed                { palette, data, indexWidth } as packBlueprintString (blueprint.js) writes
+//   blocks                [name, blockId] per blueprint palette entry, entry 0 is air
+//   fallbackBlock         placed for blocks the game doesn't know by name or by ID
+//   blocksPerTick         how many positions each tick covers
+//   startPos              where the top-left cell goes
+//   columnStep, rowStep, depthStep    as in lib/orientation.js
+//   depths, fillBehind    a relief (see relief.js), one base-36 digit per cell, or null
+//
+// Draws blocksPerTick cells per tick as code2.js does, but keeps what it replaced and
+// how far it got in the global `drawings`, per tag, so that a later run can resume,
+// undo or clear the drawing. A relief is drawn a layer at a time, from the wall
+// forwards; positions j number the cells of every layer, layer by layer.
+//
+// drawPicture is emitted into the world code with Function.prototype.toString, like
+// createScheduler, so it may only use what the game's code sandbox has. 0xE000 and 86
+// are UNICODE_PRIVATE_USE_START and PACKED_BASE of blueprint.js.
+function drawPicture(action, picture) {
+    const { tag, width, height, blocksPerTick, startPos, columnStep, rowStep, depthStep, depths } = picture;
+    const AIR = String.fromCharCode(0xE000);
+
+    // Packed cells are decoded lazily: each call decodes only as far as the requested
+    // cell, so the work is spread over the drawing ticks.
+    let cellAt = (i) => picture.cells[i];
+    if (picture.packed) {
+        const { palette, data, indexWidth } = picture.packed;
+        const cells = [];
+        let readPos = 0;
+        const readDigit = () => {
+            const code = data.charCodeAt(readPos++);
+            return code > 92 ? code - 41 : code - 40;
+        };
+        const readCell = () => {
+            let index = 0;
+            for (let n = 0; n < indexWidth; n++) index = index * 86 + readDigit();
+            return palette[index];
+        };
+        cellAt = (i) => {
+            while (cells.length <= i) {
+                const token = data[readPos];
+                if (token === '!') {
+                    readPos++;
+                    const count = readDigit() + 3;
+                    const cell = readCell();
+                    for (let n = 0; n < count; n++) cells.push(cell);
+                } else if (token === '#') {
+                    readPos++;
+                    const from = cells.length - (readDigit() + 1) * width;
+                    for (let n = 0; n < width; n++) cells.push(cells[from + n]);
+                } else {
+                    cells.push(readCell());
+                }
+            }
+            return cells[i];
+        };
+    }
+
+    // Each block name is checked with the game; one it doesn't know (a renamed block)
+    // is looked up by its old ID, and failing that the fallback block is placed instead
+    // and a chat message says which blocks are missing.
+    const lookUpBlock = (lookUp) => {
+        try {
+            return lookUp();
+        } catch (error) {
+            return null;
+        }
+    };
+    const missingBlocks = [];
+    const blockNames = picture.blocks.map(([name, blockId], index) => {
+        if (index === 0 || lookUpBlock(() => api.blockNameToBlockId(name)) != null) return name;
+        const currentName = lookUpBlock(() => api.blockIdToBlockName(blockId));
+        if (currentName) return currentName;
+        missingBlocks.push(name + ' (' + blockId + ')');
+        return picture.fallbackBlock;
+    });
+    if (missingBlocks.length > 0) api.broadcastMessage('Blocks missing from this game, placed as ' + picture.fallbackBlock + ': ' + missingBlocks.join(', '));
+    const blockName = (cell) => blockNames[cell.charCodeAt(0) - 0xE000];
+
+    // Layer 0 is the wall; a flat picture has that layer only.
+    const depthAt = (i) => (depths ? parseInt(depths[i], 36) : 0);
+    let layers = 1;
+    for (let i = 0; depths && i < depths.length; i++) layers = Math.max(layers, depthAt(i) + 1);
+    const fillBehind = Boolean(depths && picture.fillBehind);
+    const placesBlock = (i, layer) => layer === depthAt(i) || (fillBehind && layer < depthAt(i));
+    const totalLength = width * height;
+    const totalPositions = totalLength * layers;
+
+    // { action, startPos, nextIndex, replaced, run } per tag; replaced[j] is the block
+    // position j held before the last draw or clear.
+    const drawings = globalThis.drawings || (globalThis.drawings = {});
+    const cellPosition = (origin, j) => {
+        const i = j % totalLength;
+        const layer = Math.floor(j / totalLength);
+        const column = i % width;
+        const row = Math.floor(i / width);
+        return [0, 1, 2].map(axis => origin[axis] + column * columnStep[axis] + row * rowStep[axis] + layer * depthStep[axis]);
+    };
+
+    // Calls step(j) for every position from startIndex on, blocksPerTick per tick.
+    const runChunks = (startIndex, step) => {
+        const endIndex = Math.min(startIndex + blocksPerTick, totalPositions);
+        for (let j = startIndex; j < endIndex; j++) step(j);
+        if (endIndex < totalPositions) S.run(() => runChunks(endIndex, step), 1, tag);
+    };
+
+    const replaceBlock = (drawing, j, name) => {
+        const [x, y, z] = cellPosition(drawing.startPos, j);
+        drawing.replaced[j] = api.getBlock(x, y, z);
+        api.setBlock(x, y, z, name);
+    };
+
+    const actions = {
+        draw() {
+            drawings[tag] = { action: 'draw', startPos, nextIndex: 0, replaced: [], run: runAction };
+            actions.resume();
+        },
+        resume() {
+            const drawing = drawings[tag];
+            if (!drawing || drawing.action !== 'draw' || drawing.nextIndex >= totalPositions) {
+                api.broadcastMessage('Nothing to resume for ' + tag + '.');
+                return;
+            }
+            runChunks(drawing.nextIndex, (j) => {
+                const i = j % totalLength;
+                const cell = cellAt(i);
+                if (cell !== AIR && placesBlock(i, Math.floor(j / totalLength))) replaceBlock(drawing, j, blockName(cell));
+                drawing.nextIndex = j + 1;
+            });
+        },
+        undo() {
+            const drawing = drawings[tag];
+            if (!drawing || !drawing.replaced.some(block => block !== undefined)) {
+                api.broadcastMessage('Nothing to undo for ' + tag + '.');
+                return;
+            }
+            // Restored cells are forgotten, so an undo that was stopped can be run again.
+            drawing.action = 'undo';
+            runChunks(0, (j) => {
+                if (drawing.replaced[j] === undefined) return;
+                const [x, y, z] = cellPosition(drawing.startPos, j);
+                api.setBlock(x, y, z, drawing.replaced[j]);
+                delete drawing.replaced[j];
+            });
+        },
+        clear() {
+            const previous = drawings[tag];
+            const drawing = drawings[tag] = { action: 'clear', startPos: previous ? previous.startPos : startPos, nextIndex: 0, replaced: [], run: runAction };
+            runChunks(0, (j) => {
+                replaceBlock(drawing, j, 'Air');
+                drawing.nextIndex = j + 1;
+            });
+        },
+    };
+
+    // Whatever this tag was doing stops first, so two actions never interleave.
+    const runAction = (action) => {
+        if (!actions[action]) {
+            api.broadcastMessage('Unknown action "' + action + '" for ' + tag + '; use draw, resume, undo or clear.');
+            return;
+        }
+        S.stop(tag);
+        S.run(() => actions[action](), 0, tag);
+    };
+
+    runAction(action);
+}
+
+module.exports = {
+    drawPicture,
+};
@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { GifReader } = require('omggif');
+const sharp = require('sharp');
+const { DISPOSE_OP_BACKGROUND, DISPOSE_OP_PREVIOUS, BLEND_OP_OVER, readApng } = require('./apng');
+
+// Every source opens to { kind, width, height, frameCount, frameDelaysMs, frames },
+// where frames() yields (or asynchronously yields) { index, width, height, data,
+// delayMs } one frame at a time, with data a private RGBA Uint8Array.
+const GIF_DISPOSAL_RESTORE_BACKGROUND = 2;
+const GIF_DISPOSAL_RESTORE_PREVIOUS = 3;
+// Browsers play GIF delays under 20 ms as 100 ms; so do we. Animated images without a
+// delay get the same 100 ms. Other formats keep theirs.
+const MIN_GIF_DELAY_MS = 20;
+const DEFAULT_FRAME_DELAY_MS = 100;
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv', '.avi', '.mpg', '.mpeg', '.ogv', '.flv', '.wmv'];
+const SEQUENCE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.tif', '.tiff', '.avif'];
+// Image sequences carry no timing; without inputFramesPerSecond, one frame per game tick.
+const DEFAULT_SEQUENCE_FPS = 20;
+
+// Opens a GIF and decodes it lazily, one composited frame at a time, so only the
+// compressed file and a couple of canvases are ever held in memory.
+async function openGif(filePath) {
+    const reader = new GifReader(await fs.readFile(filePath));
+    const { width, height } = reader;
+    const frameCount = reader.numFrames();
+    // GIF delays are in hundredths of a second.
+    const frameDelaysMs = Array.from({ length: frameCount }, (_, index) => {
+        const delayMs = reader.frameInfo(index).delay * 10;
+        return delayMs < MIN_GIF_DELAY_MS ? DEFAULT_FRAME_DELAY_MS : delayMs;
+    });
+
+    function* frames() {
+        const canvas = new Uint8Array(width * height * 4);
+        for (let index = 0; index < frameCount; index++) {
+            const info = reader.frameInfo(index);
+            const previous = info.disposal === GIF_DISPOSAL_RESTORE_PREVIOUS ? canvas.slice() : null;
+
+            reader.decodeAndBlitFrameRGBA(index, canvas);
+            yield {
+                index,
+                width,
+                height,
+                // A private copy, so it can be transferred to a worker thread.
+                data: canvas.slice(),
+                delayMs: frameDelaysMs[index],
+            };
+
+            if (info.disposal === GIF_DISPOSAL_RESTORE_BACKGROUND) {
+                for (let y = info.y; y < info.y + info.height; y++) {
+                    canvas.fill(0, (y * width + info.x) * 4, (y * width + info.x + info.width) * 4);
+                }
+            } else if (previous) {
+                canvas.set(previous);
+            }
+        }
+    }
+
+    return { kind: 'GIF', width, height, frameCount, frameDelaysMs, frames };
+}
+
+async function decodeRaw(input, sharpOptions = {}, size = null) {
+    let image = sharp(input, sharpOptions).ensureAlpha();
+    if (size) image = image.resize(size.width, size.height, { fit: 'fill' });
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data: new Uint8Array(data) };
+}
+
+// Animated WebP (and any other multi-page format sharp reads), decoded one page at a time.
+// Resolves to null for a single image.
+async function openAnimatedImage(filePath) {
+    const metadata = await sharp(filePath, { animated: true }).metadata();
+    if (!metadata.pages || metadata.pages < 2) return null;
+    const width = metadata.width, height = metadata.pageHeight || metadata.height / metadata.pages;
+    const frameCount = metadata.pages;
+    const frameDelaysMs = Array.from({ length: frameCount }, (_, index) => (metadata.delay && metadata.delay[index]) || DEFAULT_FRAME_DELAY_MS);
+
+    async function* frames() {
+        for (let index = 0; index < frameCount; index++) {
+            const { data } = await decodeRaw(filePath, { page: index });
+            yield { index, width, height, data, delayMs: frameDelaysMs[index] };
+        }
+    }
+
+    return { kind: metadata.format.toUpperCase(), width, height, frameCount, frameDelaysMs, frames };
+}
+
+// Composites an APNG frame onto the canvas, blending over what is there or replacing it.
+function blitApngFrame(canvas, canvasWidth, frame, pixels) {
+    for (let y = 0; y < frame.height; y++) {
+        for (let x = 0; x < frame.width; x++) {
+            const source = (y * frame.width + x) * 4;
+            const target = ((frame.y + y) * canvasWidth + frame.x + x) * 4;
+            const alpha = pixels[source + 3] / 255;
+            if (frame.blendOp !== BLEND_OP_OVER || alpha === 1) {
+                canvas.set(pixels.subarray(source, source + 4), target);
+                continue;
+            }
+            const below = (canvas[target + 3] / 255) * (1 - alpha);
+            const outAlpha = alpha + below;
+            for (let c = 0; c < 3; c++) {
+                canvas[target + c] = outAlpha === 0 ? 0 : Math.round((pixels[source + c] * alpha + canvas[target + c] * below) / outAlpha);
+            }
+            canvas[target + 3] = Math.round(outAlpha * 255);
+        }
+    }
+}
+
+// Resolves to null for a PNG that is not animated.
+async function openApng(filePath) {
+    const apng = readApng(await fs.readFile(filePath));
+    if (!apng || apng.frames.length < 2) return null;
+    const { width, height } = apng;
+    const frameCount = apng.frames.length;
+    const frameDelaysMs = apng.frames.map(frame => frame.delayMs);
+
+    async function* frames() {
+        const canvas = new Uint8Array(width * height * 4);
+        for (let index = 0; index < frameCount; index++) {
+            const frame = apng.frames[index];
+            const previous = frame.disposeOp === DISPOSE_OP_PREVIOUS ? canvas.slice() : null;
+
+            blitApngFrame(canvas, width, frame, (await decodeRaw(frame.png)).data);
+            yield { index, width, height, data: canvas.slice(), delayMs: frameDelaysMs[index] };
+
+            if (frame.disposeOp === DISPOSE_OP_BACKGROUND) {
+                for (let y = frame.y; y < frame.y + frame.height; y++) {
+                    canvas.fill(0, (y * width + frame.x) * 4, (y * width + frame.x + frame.width) * 4);
+                }
+            } else if (previous) {
+                canvas.set(previous);
+            }
+        }
+    }
+
+    return { kind: 'APNG', width, height, frameCount, frameDelaysMs, frames };
+}
+
+// True for inputs like "frames/shot_*.png", which name an image sequence.
+function isFramePattern(input) {
+    return /[*?]/.test(path.basename(input));
+}
+
+function patternToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// A directory of frames, or a file name pattern, in natural order: frame2 before frame10.
+// Frames of another size than the first are stretched to it.
+async function openImageSequence(input, options) {
+    const directory = isFramePattern(input) ? path.dirname(input) : input;
+    const matches = isFramePattern(input)
+        ? (name) => patternToRegExp(path.basename(input)).test(name)
+        : (name) => SEQUENCE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+    const files = (await fs.readdir(directory, { withFileTypes: true }))
+        .filter(entry => entry.isFile() && matches(entry.name))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+        .map(name => path.join(directory, name));
+    if (files.length === 0) {
+        throw new Error(isFramePattern(input) ? `No files match ${input}.` : `No frames in ${input} (looked for ${SEQUENCE_EXTENSIONS.join(', ')} files).`);
+    }
+
+    const { width, height } = await sharp(files[0]).metadata();
+    const frameCount = files.length;
+    const frameDelaysMs = files.map(() => 1000 / (options.inputFramesPerSecond ?? DEFAULT_SEQUENCE_FPS));
+
+    async function* frames() {
+        for (let index = 0; index < frameCount; index++) {
+            const frame = await decodeRaw(files[index], {}, { width, height });
+            yield { index, width, height, data: frame.data, delayMs: frameDelaysMs[index] };
+        }
+    }
+
+    return { kind: 'image sequence', width, height, frameCount, frameDelaysMs, frames };
+}
+
+function hasCommand(command) {
+    const result = spawnSync(command, ['-version'], { stdio: 'ignore' });
+    return !result.error && result.status === 0;
+}
+
+function parseRate(rate) {
+    const [numerator, denominator = 1] = String(rate).split('/').map(Number);
+    return denominator > 0 && numerator > 0 ? numerator / denominator : null;
+}
+
+// Videos go through a locally installed ffmpeg (and ffprobe for size, rate and frame
+// count), which pipes raw RGBA frames so nothing is written to disk.
+async function openVideo(filePath, options) {
+    if (!hasCommand('ffmpeg') || !hasCommand('ffprobe')) {
+        throw new Error(`Reading ${path.basename(filePath)} needs ffmpeg and ffprobe on the PATH; install them, or export the video as a GIF or a folder of PNGs.`);
+    }
+    const probe = spawnSync('ffprobe', [
+        '-v', 'error', '-select_streams', 'v:0', '-count_packets',
+        '-show_entries', 'stream=width,height,avg_frame_rate,r_frame_rate,nb_read_packets:stream_side_data=rotation',
+        '-of', 'json', filePath,
+    ], { encoding: 'utf-8', maxBuffer: 1024 * 1024 });
+    if (probe.status !== 0) throw new Error(`ffprobe could not read ${filePath}: ${probe.stderr.trim()}`);
+    const stream = (JSON.parse(probe.stdout).streams || [])[0];
+    if (!stream) throw new Error(`${filePath} has no video stream.`);
+
+    // ffmpeg applies rotation metadata, so a portrait phone clip comes out portrait.
+    const rotation = ((stream.side_data_list || []).find(data => data.rotation !== undefined) || {}).rotation || 0;
+    const rotated = Math.abs(rotation) % 180 === 90;
+    const width = rotated ? stream.height : stream.width, height = rotated ? stream.width : stream.height;
+    const fps = options.inputFramesPerSecond ?? parseRate(stream.avg_frame_rate) ?? parseRate(stream.r_frame_rate) ?? DEFAULT_SEQUENCE_FPS;
+    const frameCount = Number(stream.nb_read_packets) || 0;
+    if (frameCount === 0) throw new Error(`ffprobe found no frames in ${filePath}.`);
+    const frameDelaysMs = Array.from({ length: frameCount }, () => 1000 / fps);
+    const frameBytes = width * height * 4;
+
+    async function* frames() {
+        const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', filePath, '-an', '-vsync', 'passthrough', '-f', 'rawvideo', '-pix_fmt', 'rgba', '-'], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let errorOutput = '';
+        ffmpeg.stderr.on('data', (data) => { errorOutput += data; });
+        const exited = new Promise((resolve, reject) => ffmpeg.on('error', reject).on('close', resolve));
+
+        let index = 0, data = new Uint8Array(frameBytes), filled = 0;
+        try {
+            for await (const chunk of ffmpeg.stdout) {
+                for (let offset = 0; offset < chunk.length;) {
+                    const count = Math.min(frameBytes - filled, chunk.length - offset);
+                    data.set(chunk.subarray(offset, offset + count), filled);
+                    filled += count;
+                    offset += count;
+                    if (filled === frameBytes) {
+                        yield { index, width, height, data, delayMs: frameDelaysMs[index] };
+                        // The timeline was planned for the frames ffprobe counted.
+                        if (++index === frameCount) return;
+                        data = new Uint8Array(frameBytes);
+                        filled = 0;
+                    }
+                }
+            }
+        } finally {
+            // Stopped early (a trimmed clip, or an error downstream): don't leave ffmpeg running.
+            if (ffmpeg.exitCode === null) ffmpeg.kill();
+        }
+        const code = await exited;
+        if (code !== 0) throw new Error(`ffmpeg failed on ${filePath}: ${errorOutput.trim()}`);
+    }
+
+    return { kind: 'video', width, height, frameCount, frameDelaysMs, frames };
+}
+
+// Picks the reader for an input: a directory or pattern of frames, a GIF, a video, an
+// animated WebP or PNG. Resolves to null for a still image.
+async function openFrameSource(input, options = {}) {
+    if (isFramePattern(input) || (await fs.stat(input)).isDirectory()) return openImageSequence(input, options);
+    const extension = path.extname(input).toLowerCase();
+    if (extension === '.gif') return openGif(input);
+    if (VIDEO_EXTENSIONS.includes(extension)) return openVideo(input, options);
+    if (extension === '.png' || extension === '.apng') return openApng(input);
+    if (extension === '.webp') return openAnimatedImage(input);
+    return null;
+}
+
+module.exports = {
+    openGif,
+    openFrameSource,
+    isFramePattern,
+};
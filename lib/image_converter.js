@@ -0,0 +1,156 @@
+const { Jimp, intToRGBA } = require('jimp');
+const { colorDistance, toMatchColor } = require('./color');
+const { createDitherer } = require('./dither');
+const { readPatch, preparePatch, prepareDetailCandidates, findBestDetailMatch } = require('./detail');
+const { createPaletteHistograms, addBitmapToPaletteHistograms, reduceSplitPalette, describePaletteReduction } = require('./palette_reduction');
+const { countBlocks } = require('./materials');
+const { classifyAlpha } = require('./alpha');
+const { prepareSource, resampleSource } = require('./preprocess');
+const { readDepthGrid, getStepFaces, getExposedFaces, createReliefMatcher } = require('./relief');
+const { resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+const { loadTextureIndex, prepareCandidates } = require('./candidates');
+const { getOutputBase, getConfiguredPlacement, generateBlueprintFiles, writeBillOfMaterials } = require('./outputs');
+
+function findBestPatchMatch(detailSource, x, y, ditherer, candidates, options) {
+    const rawPatch = readPatch(detailSource.bitmap, x * options.textureSize, y * options.textureSize, options.textureSize);
+    if (!rawPatch.meanRgb) return null;
+    const adjusted = ditherer.adjust(x, y, rawPatch.meanRgb);
+    const offset = { r: adjusted.r - rawPatch.meanRgb.r, g: adjusted.g - rawPatch.meanRgb.g, b: adjusted.b - rawPatch.meanRgb.b };
+    const match = findBestDetailMatch(preparePatch(rawPatch, offset), candidates, options.colorMetric, options.detailWeight);
+    const bestMatch = match ? match.candidate : null;
+    ditherer.commit(x, y, adjusted, bestMatch && bestMatch.perceivedColor);
+    return bestMatch;
+}
+
+function findBestMatch(pixelColor, candidates, metric) {
+    let bestMatch = null;
+    let minDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const distance = colorDistance(pixelColor, candidate.perceivedColor, metric);
+        if (distance < minDistance) {
+            minDistance = distance;
+            bestMatch = candidate;
+        }
+    }
+    return bestMatch;
+}
+
+// Returns { candidates, translucentCandidates } with paletteSize textures between them.
+function limitPalette(histograms, candidates, translucentCandidates, options) {
+    console.log(`Choosing a ${options.paletteSize}-block palette...`);
+    const reduction = reduceSplitPalette(histograms, candidates, translucentCandidates, options.paletteSize, options.colorMetric, { iterations: options.paletteRefineIterations });
+    console.log(`Palette limited to ${describePaletteReduction(reduction)}: mean color error ${reduction.meanError.toFixed(2)} (${reduction.fullError.toFixed(2)} with all ${candidates.length + translucentCandidates.length}).`);
+    return reduction;
+}
+
+// Converts a still image to a block picture: writes the preview PNG, the blueprint
+// files, the draw script and the bill of materials (see outputs.js). With a
+// depthSource the picture becomes a relief (see relief.js).
+// `options` are the "convert" options (see options.js); missing ones take their defaults.
+// Resolves to { width, height, choicesGrid, depthGrid, outputs } where choicesGrid holds
+// a texture ID or null (air) per block, and depthGrid the relief depths or null.
+async function convertImage(inputFile, options = {}) {
+    options = resolveOptions('convert', options);
+    console.log(`Loading texture index from ${options.indexFile}...`);
+    const textureData = await loadTextureIndex(options.indexFile);
+    const textureLoader = createTextureLoader(options.texturesDir, options.textureSize);
+    const { texturePalette, candidates, translucentCandidates } = await prepareCandidates(textureData, options, textureLoader);
+    if (options.matchMode === 'detail') {
+        await prepareDetailCandidates(candidates, textureLoader.getTextureImage, options.textureSize);
+    }
+
+    const sourceImage = await Jimp.read(inputFile);
+    const source = await prepareSource(sourceImage.bitmap, options.outputWidth, options.outputHeight, options.preprocess);
+    const { outputWidth, outputHeight } = source;
+    console.log(`Bloxelizing to ${outputWidth}x${outputHeight} blocks...`);
+
+    const outputBase = getOutputBase(inputFile, options);
+    const outputPath = outputBase + '.png';
+
+    const sampling = { resample: options.resample, linearLight: options.linearLightAveraging };
+    const blueprint = Jimp.fromBitmap(await resampleSource(source, sampling));
+    const finalImage = new Jimp({ width: outputWidth * options.textureSize, height: outputHeight * options.textureSize });
+    const detailSource = options.matchMode === 'detail'
+        ? Jimp.fromBitmap(await resampleSource(source, { ...sampling, scale: options.textureSize }))
+        : null;
+
+    const palette = options.paletteSize === null
+        ? { candidates, translucentCandidates }
+        : limitPalette(addBitmapToPaletteHistograms(createPaletteHistograms(), blueprint.bitmap.data, options.alphaThreshold, options.translucentBelow), candidates, translucentCandidates, options);
+    const matchCandidates = palette.candidates;
+    // Without translucent candidates left, translucent pixels take opaque ones.
+    const translucentMatchCandidates = palette.translucentCandidates.length > 0 ? palette.translucentCandidates : matchCandidates;
+
+    const depthGrid = await readDepthGrid(sourceImage.bitmap, source, blueprint.bitmap, options);
+    const stepFaces = depthGrid ? getStepFaces(getConfiguredPlacement(options, outputWidth, outputHeight)) : null;
+    const reliefMatcher = depthGrid ? createReliefMatcher(matchCandidates, stepFaces, texturePalette, options) : null;
+
+    const choicesGrid = Array(blueprint.height).fill(null).map(() => Array(blueprint.width).fill(null));
+    const ditherer = createDitherer(options.dither, options.ditherStrength, blueprint.width, blueprint.height);
+    const colorMatchCache = {};
+
+    console.log('Matching pixels to textures and building final image...');
+    for (let y = 0; y < blueprint.height; y++) {
+        for (let x = 0; x < blueprint.width; x++) {
+            let bestMatch;
+            const sourcePixel = intToRGBA(blueprint.getPixelColor(x, y));
+            const coverage = classifyAlpha(sourcePixel.a, options.alphaThreshold, options.translucentBelow);
+            if (coverage === 'air') continue;
+
+            if (detailSource && coverage === 'opaque') {
+                bestMatch = findBestPatchMatch(detailSource, x, y, ditherer, matchCandidates, options);
+            } else {
+                const pixelRGB = ditherer.adjust(x, y, sourcePixel);
+                const translucent = coverage === 'translucent';
+                // Opaque relief cells also match the faces they show at steps.
+                const exposedFaces = reliefMatcher && !translucent ? getExposedFaces(depthGrid, x, y, stepFaces, options.fillBehind) : 0;
+                const colorKey = ((translucent ? 1 << 24 : 0) | (pixelRGB.r << 16) | (pixelRGB.g << 8) | pixelRGB.b) * 16 + exposedFaces;
+
+                if (colorMatchCache[colorKey]) {
+                    bestMatch = colorMatchCache[colorKey];
+                } else if (exposedFaces) {
+                    bestMatch = reliefMatcher.findBestMatch(toMatchColor(pixelRGB), exposedFaces);
+                    colorMatchCache[colorKey] = bestMatch;
+                } else {
+                    bestMatch = findBestMatch(toMatchColor(pixelRGB), translucent ? translucentMatchCandidates : matchCandidates, options.colorMetric);
+                    colorMatchCache[colorKey] = bestMatch;
+                }
+                ditherer.commit(x, y, pixelRGB, bestMatch && bestMatch.perceivedColor);
+            }
+
+            if (bestMatch) {
+                const bestTextureInfo = bestMatch.textureInfo;
+                choicesGrid[y][x] = bestTextureInfo.textureId;
+
+                const textureToDraw = await textureLoader.getTextureImage(bestTextureInfo);
+                finalImage.composite(textureToDraw, x * options.textureSize, y * options.textureSize);
+            }
+        }
+        process.stdout.write(`\rProgress: ${Math.round(((y + 1) / blueprint.height) * 100)}%`);
+    }
+    console.log();
+
+    if (depthGrid) {
+        // Cells no block matched are air, at the wall.
+        choicesGrid.forEach((row, y) => row.forEach((textureId, x) => { if (textureId === null) depthGrid[y][x] = 0; }));
+    }
+    const blueprintFiles = await generateBlueprintFiles(choicesGrid, texturePalette, textureData.block_map, outputBase, options, { command: 'convert', source: { file: inputFile, kind: 'image' }, depthGrid });
+    const materials = await writeBillOfMaterials(countBlocks(choicesGrid, texturePalette, new Map(), depthGrid && options.fillBehind ? depthGrid : null), textureData.block_map, outputBase, options);
+
+    console.log('\nSaving final image...');
+    await finalImage.write(outputPath);
+
+    return {
+        width: outputWidth,
+        height: outputHeight,
+        choicesGrid,
+        depthGrid,
+        outputs: { image: outputPath, ...blueprintFiles, materials: materials.path },
+    };
+}
+
+module.exports = {
+    convertImage,
+};
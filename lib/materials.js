@@ -0,0 +1,42 @@
+const { textureIdToBlockId } = require('./blueprint');
+
+// Counts the blocks a choices grid places, by block ID. Empty cells are skipped. With
+// the depthGrid of a filled relief, a cell takes a block per layer up to its depth.
+function countBlocks(choicesGrid, texturePalette, counts = new Map(), depthGrid = null) {
+    choicesGrid.forEach((row, y) => row.forEach((textureId, x) => {
+        if (textureId === null) return;
+        const blockId = textureIdToBlockId(textureId, texturePalette);
+        counts.set(blockId, (counts.get(blockId) || 0) + (depthGrid ? depthGrid[y][x] + 1 : 1));
+    }));
+    return counts;
+}
+
+// Keeps, per block, the highest count seen in any single frame: enough to build
+// whichever frame needs the most of it.
+function mergeMaxCounts(target, counts) {
+    for (const [blockId, count] of counts) {
+        if (count > (target.get(blockId) || 0)) target.set(blockId, count);
+    }
+    return target;
+}
+
+function buildBillOfMaterials(counts, blockMap, stackSize) {
+    return Array.from(counts, ([blockId, count]) => ({
+        blockId,
+        name: blockMap[blockId] || `Unknown block ${blockId}`,
+        count,
+        stacks: Math.ceil(count / stackSize),
+    })).sort((a, b) => b.count - a.count || a.blockId - b.blockId);
+}
+
+function formatBillOfMaterialsCsv(bill) {
+    const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return ['block_id,block_name,count,stacks', ...bill.map(item => `${item.blockId},${escape(item.name)},${item.count},${item.stacks}`)].join('\n') + '\n';
+}
+
+module.exports = {
+    countBlocks,
+    mergeMaxCounts,
+    buildBillOfMaterials,
+    formatBillOfMaterialsCsv,
+};
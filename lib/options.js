@@ -0,0 +1,188 @@
+const path = require('path');
+const { validateColorMetric } = require('./color');
+const { validateDitherMode } = require('./dither');
+const { validateMatchMode } = require('./detail');
+const { validateOrientation, validateRotation } = require('./orientation');
+const { validateBlockFilter } = require('./block_filter');
+const { UNSUITABLE_CATEGORIES } = require('./block_resolver');
+const { validateAlphaOptions } = require('./alpha');
+const { DEFAULT_FALLBACK_BLOCK, validateBlueprintFormat } = require('./playback_script');
+const { validateTileShape } = require('./tiles');
+const { GENERATED_WORLD_CODE } = require('./scheduler');
+const { LUMINANCE, MAX_DEPTH } = require('./relief');
+const { validateResampler, validatePreprocessOptions } = require('./preprocess');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const COMMANDS = ['index', 'convert', 'animate', 'simulate', 'stats', 'preview', 'diff'];
+const ALL = COMMANDS;
+const MATCHING = ['convert', 'animate'];
+const ANIMATE = ['animate'];
+const SIMULATE = ['simulate'];
+const RENDERING = ['simulate', 'preview', 'diff'];
+
+function validateBlockPreferences(preferences) {
+    for (const key of Object.keys(preferences)) {
+        if (key !== 'prefer' && key !== 'avoid') throw new Error(`Unknown block preference "${key}". Expected prefer or avoid.`);
+        if (!Array.isArray(preferences[key])) throw new Error(`Block preference "${key}" must be an array.`);
+    }
+    return { prefer: [], avoid: [], ...preferences };
+}
+
+// Every setting of the commands, used for defaults, validation and the CLI.
+// `type` decides how a flag value is parsed; `check` is the library's own validator;
+// `defaultByCommand` overrides `default` per command. Object options with
+// `lists` take comma-separated lists in dotted flags (--block-filter.include-categories=wool,glass).
+const OPTION_SPECS = {
+    texturesDir: { commands: ALL, type: 'path', default: path.join(ROOT_DIR, 'textures'), description: 'Directory with the atlas_<n>.png texture atlases.' },
+    indexFile: { commands: ['index', ...MATCHING], type: 'path', default: path.join(ROOT_DIR, '1_texture_index.json'), description: 'Texture index written by "index" and read by "convert" and "animate".' },
+    blockTextureMapFile: { commands: ALL, type: 'path', default: path.join(ROOT_DIR, 'block_texture_map.json'), description: 'Block faces and textures, as exported from the game.' },
+    blockIdListFile: { commands: ['index'], type: 'path', default: path.join(ROOT_DIR, '2_texture_index_available_block_ids.json'), description: 'List of indexed block IDs written by "index".' },
+    textureSize: { commands: ALL, type: 'integer', min: 1, default: 8, description: 'Texture size in pixels on the atlases.' },
+
+    outputBase: { commands: MATCHING, type: 'path', nullable: true, default: null, description: 'Output path without extension; null = <input>_bloxelized next to the input.' },
+    outputWidth: { commands: MATCHING, type: 'integer', nullable: true, min: 1, defaultByCommand: { convert: 256, animate: 96 }, description: 'Width in blocks; null = follow outputHeight and the source aspect.' },
+    outputHeight: { commands: MATCHING, type: 'integer', nullable: true, min: 1, default: null, description: 'Height in blocks; null = follow outputWidth and the source aspect.' },
+    orientation: { commands: MATCHING, type: 'string', check: validateOrientation, default: 'south', description: 'Side the picture faces: north, south, east, west (walls), floor or ceiling. Picks the block faces to match and where scripts build.' },
+    mirror: { commands: MATCHING, type: 'boolean', default: false, description: 'Flip the build left to right.' },
+    rotate: { commands: MATCHING, type: 'integer', check: validateRotation, default: 0, description: 'Clockwise turn as seen by the viewer: 0, 90, 180 or 270.' },
+    anchorOffset: { commands: MATCHING, type: 'vector', nullable: true, default: null, description: 'x,y,z from the code block to the bottom-left corner; null = the orientation\'s default.' },
+    resample: { commands: MATCHING, type: 'string', check: validateResampler, default: 'box', description: 'Scaling to blocks: box (average of every covered pixel), lanczos3, lanczos2, mitchell, cubic, linear or nearest.' },
+    preprocess: {
+        commands: MATCHING,
+        type: 'object',
+        check: validatePreprocessOptions,
+        default: { crop: null, fit: 'stretch', padColor: null, brightness: 1, contrast: 1, saturation: 1, gamma: 1, sharpen: 0 },
+        description: 'Applied before scaling: crop {left,top,width,height}, fit (stretch, fit or fill), padColor (0xRRGGBB or null = air), brightness, contrast, saturation, gamma, sharpen (sigma in blocks).',
+    },
+    colorMetric: { commands: MATCHING, type: 'string', check: validateColorMetric, default: 'ciede2000', description: 'rgb, redmean, cie76, cie94 or ciede2000; maxVariance and textureSwitchThreshold are in the same units.' },
+    linearLightAveraging: { commands: MATCHING, type: 'boolean', default: true, description: 'Average texture and source colors in linear light.' },
+    maxVariance: { commands: MATCHING, type: 'number', nullable: true, min: 0, default: 4, description: 'Skip textures with more color variance than this; null = no limit.' },
+    dither: { commands: MATCHING, type: 'string', check: validateDitherMode, default: 'none', description: 'none, floyd-steinberg, atkinson, jarvis, stucki, bayer or blue-noise. Only none, bayer and blue-noise are stable between frames.' },
+    ditherStrength: { commands: MATCHING, type: 'number', min: 0, default: 1, description: 'Fraction of the error or threshold applied by dithering.' },
+    matchMode: { commands: MATCHING, type: 'string', check: validateMatchMode, default: 'color', description: 'color (one pixel per block against average colors) or detail (textureSize x textureSize patch against texture pixels).' },
+    detailWeight: { commands: MATCHING, type: 'number', min: 0, max: 1, default: 0.5, description: 'Weight of texture structure against average color in detail mode.' },
+    searchDepth: { commands: MATCHING, type: 'integer', nullable: true, min: 1, default: null, description: 'Only average each texture\'s most common colors; null = all.' },
+    maxColorCount: { commands: MATCHING, type: 'integer', nullable: true, min: 1, default: null, description: 'Skip textures with more distinct colors than this; null = no limit.' },
+    allowTransparency: { commands: MATCHING, type: 'boolean', default: false, description: 'Let textures with see-through pixels match opaque source pixels.' },
+    alphaThreshold: { commands: MATCHING, type: 'integer', nullable: true, default: 128, description: 'Source pixels with less alpha become air; null = ignore alpha.' },
+    translucentBelow: { commands: MATCHING, type: 'integer', nullable: true, default: null, description: 'Pixels that are not air but below this alpha only match see-through textures, like glass; null = off.' },
+    blockFilter: { commands: MATCHING, type: 'object', lists: true, check: validateBlockFilter, default: {}, description: 'Allowed blocks: includeIds/excludeIds, includeNames/excludeNames (substrings or /RegExps/) and includeCategories/excludeCategories.' },
+    skipUnsuitableBlocks: { commands: MATCHING, type: 'boolean', default: true, description: `Skip textures whose best block is an odd shape or a ${UNSUITABLE_CATEGORIES.join(', ')} block, unless blockPreferences prefers it.` },
+    blockPreferences: { commands: MATCHING, type: 'object', lists: true, check: validateBlockPreferences, default: { prefer: [], avoid: [] }, description: 'Tie-breakers when several blocks share a texture: prefer/avoid lists of IDs, name substrings or /RegExps/.' },
+    paletteSize: { commands: MATCHING, type: 'integer', nullable: true, min: 1, default: null, description: 'Use at most this many different blocks; null = no limit.' },
+    paletteRefineIterations: { commands: MATCHING, type: 'integer', min: 0, default: 10, description: 'k-medoids passes after the median cut when paletteSize is set.' },
+    stackSize: { commands: [...MATCHING, 'stats'], type: 'integer', min: 1, default: 999, description: 'Items per inventory stack, for the bill of materials.' },
+    blueprintFormat: { commands: MATCHING, type: 'string', check: validateBlueprintFormat, default: 'packed', description: 'Blueprint inside the draw script: packed (palette, run-length and row repeats) or raw (one character per block).' },
+    fallbackBlock: { commands: MATCHING, type: 'string', default: DEFAULT_FALLBACK_BLOCK, description: 'Block the scripts place for one the game knows neither by name nor by ID, e.g. after an update removed it.' },
+    maxScriptBytes: { commands: MATCHING, type: 'integer', nullable: true, min: 1, default: null, description: 'Largest draw script a code block takes; a bigger picture is split into tiles with a script each and a placement guide. null = one script.' },
+    tileShape: { commands: MATCHING, type: 'string', check: validateTileShape, default: 'rows', description: 'How maxScriptBytes splits the picture: rows (full-width bands) or rectangles (squares).' },
+    depthSource: { commands: ['convert'], type: 'path', nullable: true, keywords: [LUMINANCE], default: null, description: 'Stand cells out towards the viewer: luminance (bright is near) or a depth map image (white is near), scaled and cropped like the input; null = a flat wall.' },
+    invertDepth: { commands: ['convert'], type: 'boolean', default: false, description: 'Swap near and far in the depth source.' },
+    maxDepth: { commands: ['convert'], type: 'integer', min: 1, max: MAX_DEPTH, default: 4, description: 'Blocks the nearest cells of a relief stand out from the wall.' },
+    fillBehind: { commands: ['convert'], type: 'boolean', default: true, description: 'Fill a relief from each cell back to the wall with the same block, so it is solid; otherwise cells float at their depth.' },
+    stepFaceWeight: { commands: ['convert'], type: 'number', min: 0, default: 0.5, description: 'Weight of the side faces a relief shows at steps against the front face, when matching colors.' },
+
+    inputFramesPerSecond: { commands: ANIMATE, type: 'number', nullable: true, above: 0, default: null, description: 'Frame rate of image sequences, or of a video in place of its own; null = 20 for sequences.' },
+    framesPerSecond: { commands: ANIMATE, type: 'number', nullable: true, above: 0, max: 20, default: null, description: 'Frames per second shown in game and in the preview GIF, dropping or holding source frames to keep real time; null = the GIF\'s own frame delays. At most 20, the game\'s tick rate.' },
+    startFrame: { commands: ANIMATE, type: 'integer', min: 0, default: 0, description: 'First GIF frame to convert (0-based).' },
+    endFrame: { commands: ANIMATE, type: 'integer', nullable: true, min: 0, default: null, description: 'Last GIF frame to convert, included; null = the last frame.' },
+    speed: { commands: ANIMATE, type: 'number', above: 0, default: 1, description: 'Playback speed factor: 2 plays twice as fast, 0.5 at half speed.' },
+    movieLoop: { commands: ANIMATE, type: 'boolean', default: true, description: 'Loop the movie script.' },
+    movieBlocksPerTick: { commands: ANIMATE, type: 'integer', min: 1, default: 128, description: 'Blocks the movie script places per game tick.' },
+    movieDeltaBudget: { commands: ANIMATE, type: 'integer', nullable: true, keywords: ['auto'], min: 1, default: null, description: 'Max blocks changed per frame: null = unlimited, auto = what movieBlocksPerTick places while the frame is shown.' },
+    movieTag: { commands: ANIMATE, type: 'string', default: 'pixel_art_movie', description: 'Scheduler tag, for S.stop(tag).' },
+    textureSwitchThreshold: { commands: ANIMATE, type: 'number', min: 0, default: 3, description: 'A block keeps its texture until another one matches better by this much.' },
+    adaptiveSwitchThreshold: { commands: ANIMATE, type: 'boolean', default: true, description: 'Lower textureSwitchThreshold as the frame\'s colors change more on average, so fades and pans are not held back.' },
+    sceneCutThreshold: { commands: ANIMATE, type: 'number', nullable: true, min: 0, max: 1, default: 0.5, description: 'Share of blocks that must jump in color (by a quarter of black to white) for a frame to be a scene cut, where every block switches freely; null = never.' },
+    spatialCoherence: { commands: ANIMATE, type: 'number', min: 0, max: 1, default: 0, description: 'How much a block\'s switch threshold follows its neighbors: lowered when they switch, raised when they stay.' },
+    workerCount: { commands: ANIMATE, type: 'integer', nullable: true, min: 1, default: null, description: 'Worker threads; null = one per CPU core, leaving one for decoding and encoding.' },
+    maxFramesInFlight: { commands: ANIMATE, type: 'integer', nullable: true, min: 1, default: null, description: 'Frames decoded but not yet encoded; null = 2 per worker.' },
+
+    worldCode: { commands: SIMULATE, type: 'path', nullable: true, keywords: [GENERATED_WORLD_CODE], default: GENERATED_WORLD_CODE, description: 'World code run before the scripts: generated = the <base>_world.js that convert and animate write (the S scheduler and drawPicture for draw scripts), or a file such as code.js (S only, enough for movie scripts); null = none.' },
+    codeBlockPosition: { commands: SIMULATE, type: 'vector', default: [0, 0, 0], description: 'x,y,z of the code block the scripts run in (thisPos).' },
+    maxTicks: { commands: SIMULATE, type: 'integer', min: 1, default: 6000, description: 'Ticks to run at most, for scripts that never finish such as looping movies.' },
+    render: { commands: SIMULATE, type: 'boolean', default: true, description: 'Render the built blocks to a PNG with the atlas textures.' },
+    renderFile: { commands: RENDERING, type: 'path', nullable: true, default: null, description: 'Where to write the PNG; null = next to the (first or new) input as <name>_render.png, _preview.png or _diff.png. diff writes its CSV beside it.' },
+    view: { commands: RENDERING, type: 'string', check: validateOrientation, default: 'south', description: 'Side the render is seen from, as in orientation: north, south, east, west, floor or ceiling.' },
+
+    statsFile: { commands: ['stats'], type: 'path', nullable: true, default: null, description: 'Also write the block counts as CSV here; null = print only.' },
+};
+
+function getDefaultValue(spec, command) {
+    const value = spec.defaultByCommand ? spec.defaultByCommand[command] : spec.default;
+    // Object defaults are copied, so callers can't change them for the next run.
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function validateCommand(command) {
+    if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}". Expected one of: ${COMMANDS.join(', ')}.`);
+    return command;
+}
+
+function getOptionNames(command) {
+    validateCommand(command);
+    return Object.keys(OPTION_SPECS).filter(name => OPTION_SPECS[name].commands.includes(command));
+}
+
+function getDefaultOptions(command) {
+    return Object.fromEntries(getOptionNames(command).map(name => [name, getDefaultValue(OPTION_SPECS[name], command)]));
+}
+
+function checkOptionValue(name, spec, value) {
+    if (value === null) {
+        if (!spec.nullable) throw new Error(`${name} must not be null.`);
+        return value;
+    }
+    if (spec.keywords && spec.keywords.includes(value)) return value;
+
+    const expected = {
+        integer: () => Number.isInteger(value),
+        number: () => typeof value === 'number' && Number.isFinite(value),
+        boolean: () => typeof value === 'boolean',
+        string: () => typeof value === 'string',
+        path: () => typeof value === 'string' && value.length > 0,
+        vector: () => Array.isArray(value) && value.length === 3 && value.every(Number.isInteger),
+        object: () => typeof value === 'object' && !Array.isArray(value),
+    };
+    const descriptions = { integer: 'an integer', number: 'a number', boolean: 'true or false', string: 'a string', path: 'a path', vector: 'three integers [x, y, z]', object: 'an object' };
+    if (!expected[spec.type]()) {
+        const allowed = [descriptions[spec.type], ...(spec.keywords || []).map(keyword => `"${keyword}"`), ...(spec.nullable ? ['null'] : [])];
+        throw new Error(`${name} must be ${allowed.join(' or ')}, got ${JSON.stringify(value)}.`);
+    }
+    if (spec.min !== undefined && value < spec.min) throw new Error(`${name} must be at least ${spec.min}, got ${value}.`);
+    if (spec.above !== undefined && !(value > spec.above)) throw new Error(`${name} must be above ${spec.above}, got ${value}.`);
+    if (spec.max !== undefined && value > spec.max) throw new Error(`${name} must be at most ${spec.max}, got ${value}.`);
+
+    if (spec.check) {
+        const checked = spec.check(value);
+        if (checked !== undefined) value = checked;
+    }
+    return spec.type === 'path' ? path.resolve(value) : value;
+}
+
+// Defaults for `command` overridden by `overrides`, validated. Options that belong
+// to other commands are ignored, so one config file can serve all of them;
+// unknown names are an error.
+function resolveOptions(command, overrides = {}) {
+    const options = getDefaultOptions(command);
+    for (const [name, value] of Object.entries(overrides || {})) {
+        const spec = OPTION_SPECS[name];
+        if (!spec) throw new Error(`Unknown option "${name}".`);
+        if (value === undefined || !spec.commands.includes(command)) continue;
+        options[name] = value;
+    }
+    for (const name of Object.keys(options)) {
+        options[name] = checkOptionValue(name, OPTION_SPECS[name], options[name]);
+    }
+    if (MATCHING.includes(command)) validateAlphaOptions(options.alphaThreshold, options.translucentBelow);
+    return options;
+}
+
+module.exports = {
+    COMMANDS,
+    OPTION_SPECS,
+    validateCommand,
+    getOptionNames,
+    getDefaultOptions,
+    resolveOptions,
+};
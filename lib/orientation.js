@@ -0,0 +1,77 @@
+// Where and how the picture is built in the world. Coordinates follow Bloxd's
+// left-handed axes: +X east, +Y up, +Z north. An orientation names the side the
+// picture faces, i.e. where the viewer stands; `face` is the block face they see,
+// `right` and `up` are the picture's axes as seen from there.
+const ORIENTATIONS = {
+    north: { face: 'front', right: [-1, 0, 0], up: [0, 1, 0], anchor: [0, 3, 0] },
+    south: { face: 'back', right: [1, 0, 0], up: [0, 1, 0], anchor: [0, 3, 0] },
+    east: { face: 'right', right: [0, 0, 1], up: [0, 1, 0], anchor: [0, 3, 0] },
+    west: { face: 'left', right: [0, 0, -1], up: [0, 1, 0], anchor: [0, 3, 0] },
+    // Seen from above / below with the top of the picture towards north.
+    floor: { face: 'top', right: [1, 0, 0], up: [0, 0, 1], anchor: [1, -1, 1] },
+    ceiling: { face: 'bottom', right: [-1, 0, 0], up: [0, 0, 1], anchor: [-1, 8, 1] },
+};
+const ROTATIONS = [0, 90, 180, 270];
+// The direction each block face looks to.
+const FACE_NORMALS = { front: [0, 0, 1], back: [0, 0, -1], right: [1, 0, 0], left: [-1, 0, 0], top: [0, 1, 0], bottom: [0, -1, 0] };
+
+function validateOrientation(orientation) {
+    if (!ORIENTATIONS[orientation]) {
+        throw new Error(`Unknown orientation "${orientation}". Expected one of: ${Object.keys(ORIENTATIONS).join(', ')}.`);
+    }
+    return orientation;
+}
+
+function validateRotation(rotate) {
+    if (!ROTATIONS.includes(rotate)) throw new Error(`rotate must be one of ${ROTATIONS.join(', ')}, got ${rotate}.`);
+    return rotate;
+}
+
+function getFaceDirection(orientation) {
+    return ORIENTATIONS[validateOrientation(orientation)].face;
+}
+
+// The block face that looks towards `direction`, a unit axis vector.
+function getFaceTowards(direction) {
+    return Object.keys(FACE_NORMALS).find(face => FACE_NORMALS[face].every((value, axis) => value === direction[axis]));
+}
+
+// Maps picture cell (column, row from the top) to a world offset from the code
+// block: offset = origin + column * columnStep + row * rowStep. `rotate` turns
+// the picture clockwise as seen by the viewer, `mirror` flips it left to right;
+// either way the anchor stays the bottom-left corner of what is built.
+function getPlacement({ orientation, width, height, mirror = false, rotate = 0, anchorOffset = null }) {
+    const { right, up, anchor } = ORIENTATIONS[validateOrientation(orientation)];
+    validateRotation(rotate);
+
+    // Viewer-frame coordinates as [perColumn, perRow, constant] in a box of boxWidth x boxHeight.
+    let across = mirror ? [-1, 0, width - 1] : [1, 0, 0];
+    let upward = [0, -1, height - 1];
+    let boxWidth = width;
+    for (let turn = 0; turn < rotate / 90; turn++) {
+        [across, upward] = [upward, across.map((value, i) => (i === 2 ? boxWidth - 1 - value : -value))];
+        boxWidth = boxWidth === width ? height : width;
+    }
+
+    const base = anchorOffset || anchor;
+    const combine = (k) => [0, 1, 2].map(axis => right[axis] * across[k] + up[axis] * upward[k]);
+    const constant = combine(2);
+    return {
+        origin: base.map((value, axis) => value + constant[axis]),
+        columnStep: combine(0),
+        rowStep: combine(1),
+        // Towards the viewer, for reliefs.
+        depthStep: FACE_NORMALS[ORIENTATIONS[orientation].face],
+    };
+}
+
+module.exports = {
+    ORIENTATIONS,
+    ROTATIONS,
+    FACE_NORMALS,
+    validateOrientation,
+    validateRotation,
+    getFaceDirection,
+    getFaceTowards,
+    getPlacement,
+};
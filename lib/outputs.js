@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BLUEPRINT_FORMAT, BLUEPRINT_VERSION, createBlockPalette, encodeBlueprintString } = require('./blueprint');
+const { getPlacement } = require('./orientation');
+const { generateDrawScript } = require('./playback_script');
+const { generateWorldCode } = require('./scheduler');
+const { splitDrawScript, formatTileGuide } = require('./tiles');
+const { encodeDepthRows } = require('./relief');
+const { buildBillOfMaterials, formatBillOfMaterialsCsv } = require('./materials');
+
+// The files written next to every conversion, shared by convert and animate.
+const BILL_PREVIEW_LINES = 20;
+
+// Where outputs go: options.outputBase, or <input>_bloxelized next to the input.
+function getOutputBase(inputFile, options) {
+    if (options.outputBase) return options.outputBase;
+    const baseName = path.basename(inputFile, path.extname(inputFile));
+    return path.join(path.dirname(inputFile), `${baseName}_bloxelized`);
+}
+
+function getConfiguredPlacement(options, width, height) {
+    return getPlacement({ orientation: options.orientation, width, height, mirror: options.mirror, rotate: options.rotate, anchorOffset: options.anchorOffset });
+}
+
+// Which block was placed for each texture in the picture, and why not another one.
+function describeBlockChoices(choicesGrid, texturePalette) {
+    const usedTextureIds = new Set(choicesGrid.flat().filter(textureId => textureId !== null));
+    return Array.from(usedTextureIds).sort((a, b) => a - b).map(textureId => {
+        const { block } = texturePalette[textureId];
+        return { textureId, blockId: block.blockId, blockName: block.blockName, alternatives: block.alternatives };
+    });
+}
+
+// Everything generateBlueprintFiles needs to know besides the blocks: where they came
+// from and, for animations, how many frames there are and how long each one is shown.
+//   source:     { file, kind } with kind "image" or a frame source kind (frame_source.js)
+//   frameTicks: game ticks per frame; null for a still image
+//   depthGrid:  relief depth per cell (see relief.js); null for a flat picture
+function buildBlueprint(choicesGrid, texturePalette, blockMap, options, { command, source, frameTicks = null, depthGrid = null }) {
+    const height = choicesGrid.length;
+    const width = choicesGrid[0].length;
+    const blockPalette = createBlockPalette(blockMap);
+    const blueprintString = encodeBlueprintString(choicesGrid, texturePalette, blockPalette);
+    const cells = Array.from(blueprintString);
+    const placement = getConfiguredPlacement(options, width, height);
+
+    const blueprint = {
+        format: BLUEPRINT_FORMAT,
+        version: BLUEPRINT_VERSION,
+        width,
+        height,
+        source,
+        // Relative to the code block that draws it.
+        placement: { orientation: options.orientation, mirror: options.mirror, rotate: options.rotate, anchorOffset: options.anchorOffset, ...placement },
+        frameCount: frameTicks ? frameTicks.length : 1,
+        frameTicks,
+        palette: blockPalette.entries(),
+        rows: Array.from({ length: height }, (_, y) => cells.slice(y * width, (y + 1) * width).join('')),
+        blocks: describeBlockChoices(choicesGrid, texturePalette),
+        // Depths are base-36 digits, blocks towards the viewer (placement.depthStep).
+        relief: depthGrid ? { maxDepth: options.maxDepth, fillBehind: options.fillBehind, depths: encodeDepthRows(depthGrid) } : null,
+        settings: { command, ...options },
+    };
+    return { blueprint, blueprintString, placement };
+}
+
+// Writes <base>.json (the blueprint, see buildBlueprint), <base>_draw.js and the world
+// code the scripts run on (scheduler.js), <base>_world.js. A draw script bigger
+// than options.maxScriptBytes is split into tiles instead (see tiles.js): one
+// <base>_draw_<n>.js per tile and the placement guide <base>_tiles.txt. `details` are
+// as for buildBlueprint. Returns the paths written.
+async function generateBlueprintFiles(choicesGrid, texturePalette, blockMap, basePath, options, details) {
+    console.log("Generating blueprint files...");
+    const height = choicesGrid.length;
+    if (height === 0) return {};
+    const width = choicesGrid[0].length;
+
+    if (!Object.values(blockMap).includes(options.fallbackBlock)) {
+        console.warn(`Warning: the fallback block "${options.fallbackBlock}" is not in the texture index; the scripts would place it for missing blocks anyway.`);
+    }
+    const { blueprint, blueprintString, placement } = buildBlueprint(choicesGrid, texturePalette, blockMap, options, details);
+    const relief = blueprint.relief ? { depths: blueprint.relief.depths.join(''), fillBehind: blueprint.relief.fillBehind } : {};
+    const worldCodePath = basePath + '_world.js';
+    const worldCodeFile = path.basename(worldCodePath);
+
+    const drawScripts = {};
+    for (const format of ['raw', 'packed']) {
+        drawScripts[format] = generateDrawScript({ width, height, blueprintString, blocks: blueprint.palette, fallbackBlock: options.fallbackBlock, format, placement, worldCodeFile, ...relief });
+    }
+    const rawBytes = Buffer.byteLength(drawScripts.raw, 'utf-8');
+    const packedBytes = Buffer.byteLength(drawScripts.packed, 'utf-8');
+    console.log(`Draw script size: raw ${(rawBytes / 1024).toFixed(1)} KB, packed ${(packedBytes / 1024).toFixed(1)} KB (${(100 * packedBytes / rawBytes).toFixed(0)}%)`);
+
+    const scriptBytes = options.blueprintFormat === 'raw' ? rawBytes : packedBytes;
+    const tiles = options.maxScriptBytes !== null && scriptBytes > options.maxScriptBytes
+        ? splitDrawScript(choicesGrid, texturePalette, blockMap, placement, options.maxScriptBytes, options.tileShape, { fallbackBlock: options.fallbackBlock, format: options.blueprintFormat, worldCodeFile, fillBehind: Boolean(relief.fillBehind), depthGrid: details.depthGrid || null })
+        : null;
+    const tileFiles = tiles ? tiles.map((_, index) => `${basePath}_draw_${index + 1}.js`) : [];
+    if (tiles) {
+        blueprint.tiles = tiles.map(({ x, y, width: tileWidth, height: tileHeight, origin, tag }, index) => ({ file: path.basename(tileFiles[index]), x, y, width: tileWidth, height: tileHeight, origin, tag }));
+    }
+
+    const blueprintPath = basePath + '.json';
+    await fs.writeFile(blueprintPath, JSON.stringify(blueprint, null, 2), 'utf-8');
+    console.log(`Blueprint (${blueprint.palette.length - 1} block types) saved to ${blueprintPath}`);
+
+    const outputs = { blueprint: blueprintPath };
+    if (tiles) {
+        for (let index = 0; index < tiles.length; index++) await fs.writeFile(tileFiles[index], tiles[index].script, 'utf-8');
+        const guide = formatTileGuide(tiles, tileFiles.map(file => path.basename(file)), { width, height, maxBytes: options.maxScriptBytes, worldCodeFile });
+        const guidePath = basePath + '_tiles.txt';
+        await fs.writeFile(guidePath, guide, 'utf-8');
+        console.log(`The ${options.blueprintFormat} draw script takes ${scriptBytes} bytes, more than maxScriptBytes ${options.maxScriptBytes}; split into ${options.tileShape}:`);
+        process.stdout.write(guide);
+        console.log(`Tile scripts saved to ${tileFiles[0]} ... ${tileFiles[tileFiles.length - 1]}, the guide to ${guidePath}`);
+        outputs.tileGuide = guidePath;
+    } else {
+        const drawScriptPath = basePath + '_draw.js';
+        await fs.writeFile(drawScriptPath, drawScripts[options.blueprintFormat], 'utf-8');
+        console.log(`Draw script (${options.blueprintFormat}) saved to ${drawScriptPath}`);
+        outputs.drawScript = drawScriptPath;
+    }
+
+    await fs.writeFile(worldCodePath, generateWorldCode(), 'utf-8');
+    console.log(`World code saved to ${worldCodePath}: set it as the world code once, then paste the script into a code block. Draw scripts need this world code; with any other, such as code.js, they only say so in chat.`);
+    outputs.worldCode = worldCodePath;
+    return outputs;
+}
+
+// Writes <base>_materials.csv and prints the top of it. Returns the bill and its path.
+async function writeBillOfMaterials(counts, blockMap, basePath, options, note = null) {
+    const bill = buildBillOfMaterials(counts, blockMap, options.stackSize);
+    const billPath = basePath + '_materials.csv';
+    await fs.writeFile(billPath, formatBillOfMaterialsCsv(bill), 'utf-8');
+
+    const totalBlocks = bill.reduce((total, item) => total + item.count, 0);
+    console.log(`Bill of materials: ${bill.length} block types, ${totalBlocks} blocks${note ? ` (${note})` : ''}`);
+    for (const item of bill.slice(0, BILL_PREVIEW_LINES)) {
+        console.log(`  ${String(item.count).padStart(7)}  ${item.name} (${item.stacks} stack${item.stacks === 1 ? '' : 's'})`);
+    }
+    if (bill.length > BILL_PREVIEW_LINES) console.log(`  ... ${bill.length - BILL_PREVIEW_LINES} more in ${billPath}`);
+    return { bill, path: billPath };
+}
+
+module.exports = {
+    getOutputBase,
+    getConfiguredPlacement,
+    describeBlockChoices,
+    buildBlueprint,
+    generateBlueprintFiles,
+    writeBillOfMaterials,
+};
@@ -0,0 +1,258 @@
+const { toMatchColor, colorDistance } = require('./color');
+
+// Picks the K candidates that best cover the colors of an image (or of every frame
+// of an animation). Source colors are binned into a histogram; every bin is
+// compared once against every candidate, then:
+//   1. median cut over the bins in Lab gives K clusters, each seeded with the
+//      candidate that has the lowest weighted error over the cluster;
+//   2. k-medoids refinement: reassign every bin to its nearest selected candidate
+//      and re-pick each cluster's candidate, until nothing changes.
+const HISTOGRAM_BITS = 5;
+const MAX_HISTOGRAM_BINS = 4096;
+const DEFAULT_REFINE_ITERATIONS = 10;
+
+function createColorHistogram() {
+    return new Map();
+}
+
+// Only pixels with alpha from minAlpha up to (not including) maxAlpha are added.
+function addBitmapToHistogram(histogram, data, minAlpha = 0, maxAlpha = 256) {
+    const shift = 8 - HISTOGRAM_BITS;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < minAlpha || data[i + 3] >= maxAlpha) continue;
+        const key = ((data[i] >> shift) << (2 * HISTOGRAM_BITS)) | ((data[i + 1] >> shift) << HISTOGRAM_BITS) | (data[i + 2] >> shift);
+        let bin = histogram.get(key);
+        if (!bin) {
+            bin = { r: 0, g: 0, b: 0, count: 0 };
+            histogram.set(key, bin);
+        }
+        bin.r += data[i];
+        bin.g += data[i + 1];
+        bin.b += data[i + 2];
+        bin.count++;
+    }
+    return histogram;
+}
+
+// Merges bins one more bit at a time until there are few enough to compare
+// against every candidate.
+function histogramSamples(histogram) {
+    let bins = Array.from(histogram.values());
+    for (let bits = HISTOGRAM_BITS - 1; bins.length > MAX_HISTOGRAM_BINS && bits > 0; bits--) {
+        const merged = new Map();
+        for (const bin of bins) {
+            const shift = 8 - bits;
+            const key = ((Math.round(bin.r / bin.count) >> shift) << (2 * bits)) | ((Math.round(bin.g / bin.count) >> shift) << bits) | (Math.round(bin.b / bin.count) >> shift);
+            const target = merged.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+            target.r += bin.r;
+            target.g += bin.g;
+            target.b += bin.b;
+            target.count += bin.count;
+            merged.set(key, target);
+        }
+        bins = Array.from(merged.values());
+    }
+    return bins.map(bin => ({
+        color: toMatchColor({ r: Math.round(bin.r / bin.count), g: Math.round(bin.g / bin.count), b: Math.round(bin.b / bin.count) }),
+        weight: bin.count,
+    }));
+}
+
+function medianCut(samples, boxCount) {
+    const boxes = [samples.map((_, index) => index)];
+    const axes = ['L', 'A', 'B'];
+    const spread = (box) => {
+        let best = { axis: 'L', range: 0 };
+        for (const axis of axes) {
+            let min = Infinity, max = -Infinity;
+            for (const index of box) {
+                const value = samples[index].color.lab[axis];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > best.range) best = { axis, range: max - min };
+        }
+        const weight = box.reduce((total, index) => total + samples[index].weight, 0);
+        return { ...best, score: best.range * weight };
+    };
+
+    while (boxes.length < boxCount) {
+        let bestBox = -1, bestSpread = null;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].length < 2) continue;
+            const boxSpread = spread(boxes[i]);
+            if (!bestSpread || boxSpread.score > bestSpread.score) { bestBox = i; bestSpread = boxSpread; }
+        }
+        if (bestBox < 0 || bestSpread.score === 0) break;
+
+        const box = boxes[bestBox].sort((a, b) => samples[a].color.lab[bestSpread.axis] - samples[b].color.lab[bestSpread.axis]);
+        const halfWeight = box.reduce((total, index) => total + samples[index].weight, 0) / 2;
+        let split = 1;
+        for (let accumulated = samples[box[0]].weight; split < box.length - 1 && accumulated + samples[box[split]].weight <= halfWeight; split++) {
+            accumulated += samples[box[split]].weight;
+        }
+        boxes.splice(bestBox, 1, box.slice(0, split), box.slice(split));
+    }
+    return boxes;
+}
+
+function reducePalette(histogram, candidates, paletteSize, metric, { iterations = DEFAULT_REFINE_ITERATIONS } = {}) {
+    if (!Number.isInteger(paletteSize) || paletteSize < 1) throw new Error(`paletteSize must be a positive integer, got ${JSON.stringify(paletteSize)}.`);
+    const samples = histogramSamples(histogram);
+    const candidateCount = candidates.length;
+    const distances = new Float32Array(samples.length * candidateCount);
+    for (let s = 0; s < samples.length; s++) {
+        for (let c = 0; c < candidateCount; c++) {
+            distances[s * candidateCount + c] = colorDistance(samples[s].color, candidates[c].perceivedColor, metric);
+        }
+    }
+
+    const totalError = (selected) => {
+        let total = 0, weight = 0;
+        for (let s = 0; s < samples.length; s++) {
+            let best = Infinity;
+            for (const c of selected) best = Math.min(best, distances[s * candidateCount + c]);
+            total += best * samples[s].weight;
+            weight += samples[s].weight;
+        }
+        return weight === 0 ? 0 : total / weight;
+    };
+    const allCandidates = candidates.map((_, c) => c);
+    const fullError = totalError(allCandidates);
+    if (candidateCount <= paletteSize) return { candidates, meanError: fullError, fullError, iterations: 0 };
+
+    // The candidate with the lowest weighted error over `members`, skipping `taken`.
+    const bestFor = (members, taken) => {
+        let best = -1, bestTotal = Infinity;
+        for (let c = 0; c < candidateCount; c++) {
+            if (taken.has(c)) continue;
+            let total = 0;
+            for (const s of members) total += distances[s * candidateCount + c] * samples[s].weight;
+            if (total < bestTotal) { bestTotal = total; best = c; }
+        }
+        return best;
+    };
+
+    const selected = [];
+    const taken = new Set();
+    for (const box of medianCut(samples, paletteSize)) {
+        const c = bestFor(box, taken);
+        selected.push(c);
+        taken.add(c);
+    }
+    // Median cut runs out of boxes when the image has fewer distinct colors than
+    // paletteSize; fill up with whatever lowers the error most.
+    while (selected.length < paletteSize) {
+        let best = -1, bestError = Infinity;
+        for (let c = 0; c < candidateCount; c++) {
+            if (taken.has(c)) continue;
+            const error = totalError([...selected, c]);
+            if (error < bestError) { bestError = error; best = c; }
+        }
+        selected.push(best);
+        taken.add(best);
+    }
+
+    let iteration = 0;
+    for (; iteration < iterations; iteration++) {
+        const clusters = selected.map(() => []);
+        for (let s = 0; s < samples.length; s++) {
+            let bestCluster = 0, best = Infinity;
+            for (let k = 0; k < selected.length; k++) {
+                const distance = distances[s * candidateCount + selected[k]];
+                if (distance < best) { best = distance; bestCluster = k; }
+            }
+            clusters[bestCluster].push(s);
+        }
+
+        let changed = false;
+        for (let k = 0; k < selected.length; k++) {
+            if (clusters[k].length === 0) continue;
+            taken.delete(selected[k]);
+            const c = bestFor(clusters[k], taken);
+            taken.add(c);
+            if (c !== selected[k]) { selected[k] = c; changed = true; }
+        }
+        if (!changed) break;
+    }
+
+    return {
+        candidates: selected.map(c => candidates[c]),
+        meanError: totalError(selected),
+        fullError,
+        iterations: iteration,
+    };
+}
+
+// Opaque and translucent pixels (see alpha.js) match different candidates, so they
+// are sampled apart; air is left out.
+function createPaletteHistograms() {
+    return { opaque: createColorHistogram(), translucent: createColorHistogram() };
+}
+
+function addBitmapToPaletteHistograms(histograms, data, alphaThreshold, translucentBelow) {
+    addBitmapToHistogram(histograms.opaque, data, translucentBelow ?? alphaThreshold ?? 0);
+    if (translucentBelow !== null) addBitmapToHistogram(histograms.translucent, data, alphaThreshold ?? 0, translucentBelow);
+    return histograms;
+}
+
+function histogramWeight(histogram) {
+    let weight = 0;
+    for (const bin of histogram.values()) weight += bin.count;
+    return weight;
+}
+
+// Shares paletteSize out by weight (largest remainder first), giving every kind with
+// any weight at least one slot while there are slots to give, in the order given.
+function splitPaletteSize(paletteSize, weights) {
+    const present = weights.map((weight, index) => index).filter(index => weights[index] > 0);
+    const sizes = weights.map(() => 0);
+    const guaranteed = present.slice(0, paletteSize);
+    for (const index of guaranteed) sizes[index] = 1;
+    const rest = paletteSize - guaranteed.length;
+    const totalWeight = present.reduce((total, index) => total + weights[index], 0);
+    if (rest === 0 || totalWeight === 0) return sizes;
+
+    const shares = present.map(index => ({ index, share: rest * weights[index] / totalWeight }));
+    let given = 0;
+    for (const { index, share } of shares) {
+        sizes[index] += Math.floor(share);
+        given += Math.floor(share);
+    }
+    shares.sort((a, b) => (b.share - Math.floor(b.share)) - (a.share - Math.floor(a.share)));
+    for (let k = 0; given < rest; k++, given++) sizes[shares[k].index]++;
+    return sizes;
+}
+
+// reducePalette for opaque and translucent candidates together, so that both kinds
+// count towards the one paletteSize. Opaque pixels come first: with a single slot,
+// translucent candidates come back empty and translucent pixels match the opaque palette.
+// A kind without pixels gets no candidates.
+function reduceSplitPalette(histograms, candidates, translucentCandidates, paletteSize, metric, options = {}) {
+    const weights = [histogramWeight(histograms.opaque), translucentCandidates.length > 0 ? histogramWeight(histograms.translucent) : 0];
+    const [opaqueSize, translucentSize] = splitPaletteSize(paletteSize, weights);
+    const reduce = (histogram, kindCandidates, size, weight) => (size === 0
+        ? { candidates: [], meanError: 0, fullError: 0, weight: 0 }
+        : { ...reducePalette(histogram, kindCandidates, size, metric, options), weight });
+    const opaque = reduce(histograms.opaque, candidates, opaqueSize, weights[0]);
+    const translucent = reduce(histograms.translucent, translucentCandidates, translucentSize, weights[1]);
+    const totalWeight = opaque.weight + translucent.weight;
+    const mean = (key) => (totalWeight === 0 ? 0 : (opaque[key] * opaque.weight + translucent[key] * translucent.weight) / totalWeight);
+    return { candidates: opaque.candidates, translucentCandidates: translucent.candidates, meanError: mean('meanError'), fullError: mean('fullError') };
+}
+
+function describePaletteReduction({ candidates, translucentCandidates }) {
+    const count = candidates.length + translucentCandidates.length;
+    return `${count} block${count === 1 ? '' : 's'}${translucentCandidates.length > 0 ? ` (${translucentCandidates.length} for translucent pixels)` : ''}`;
+}
+
+module.exports = {
+    createColorHistogram,
+    addBitmapToHistogram,
+    createPaletteHistograms,
+    addBitmapToPaletteHistograms,
+    splitPaletteSize,
+    reducePalette,
+    reduceSplitPalette,
+    describePaletteReduction,
+};
@@ -0,0 +1,181 @@
+// Builds the Bloxd code-block scripts. They rely on the world code (see scheduler.js):
+// the movie script on its `S` tick scheduler, carrying the table of the blocks it
+// places; the draw script is the picture for its drawPicture (see draw_runtime.js).
+
+const { UNICODE_PRIVATE_USE_START, packBlueprintString } = require('./blueprint');
+const { getPlacement } = require('./orientation');
+
+const GAME_TICKS_PER_SECOND = 20;
+const DEFAULT_BLOCKS_PER_TICK = 128;
+const DEFAULT_FALLBACK_BLOCK = 'Stone';
+const DEFAULT_DRAW_TAG = 'pixel_art_drawer';
+const BLUEPRINT_FORMATS = ['raw', 'packed'];
+
+function validateBlueprintFormat(format) {
+    if (!BLUEPRINT_FORMATS.includes(format)) {
+        throw new Error(`Unknown blueprint format "${format}". Expected one of: ${BLUEPRINT_FORMATS.join(', ')}.`);
+    }
+    return format;
+}
+
+function msToTicks(ms) {
+    return Math.max(1, Math.round((ms / 1000) * GAME_TICKS_PER_SECOND));
+}
+
+// `placement` comes from lib/orientation.js; without one the picture is a wall in
+// the X-Y plane starting 3 blocks above the code block, as code2.js draws it.
+function placementSource(width, height, placement) {
+    const { origin, columnStep, rowStep } = placement || getDefaultPlacement(width, height);
+    return `const startPos = [thisPos[0] + ${origin[0]}, thisPos[1] + ${origin[1]}, thisPos[2] + ${origin[2]}];
+const COLUMN_STEP = [${columnStep.join(', ')}];
+const ROW_STEP = [${rowStep.join(', ')}];`;
+}
+
+function getDefaultPlacement(width, height) {
+    return getPlacement({ orientation: 'south', width, height });
+}
+
+// Cells index BLOCK_PALETTE: the blocks the script uses, by name, with the IDs they had
+// at conversion. At startup each name is checked with the game; one it doesn't know
+// (a renamed block) is looked up by its old ID, and failing that the fallback block
+// is placed instead and a chat message says which blocks are missing.
+function blockTableSource(blocks, fallbackBlock) {
+    return `const BLOCK_PALETTE = [${blocks.map(({ name, blockId }) => `[${JSON.stringify(name)}, ${blockId}]`).join(', ')}];
+const FALLBACK_BLOCK = ${JSON.stringify(fallbackBlock)};
+const lookUpBlock = (lookUp) => {
+    try {
+        return lookUp();
+    } catch (error) {
+        return null;
+    }
+};
+const missingBlocks = [];
+const BLOCK_NAMES = BLOCK_PALETTE.map(([name, blockId], index) => {
+    if (index === 0 || lookUpBlock(() => api.blockNameToBlockId(name)) != null) return name;
+    const currentName = lookUpBlock(() => api.blockIdToBlockName(blockId));
+    if (currentName) return currentName;
+    missingBlocks.push(name + ' (' + blockId + ')');
+    return FALLBACK_BLOCK;
+});
+if (missingBlocks.length > 0) api.broadcastMessage('Blocks missing from this game, placed as ' + FALLBACK_BLOCK + ': ' + missingBlocks.join(', '));
+const blockName = (cell) => BLOCK_NAMES[cell.charCodeAt(0) - 0x${UNICODE_PRIVATE_USE_START.toString(16).toUpperCase()}];`;
+}
+
+function cellPositionSource(indent) {
+    return [
+        'const column = i % width;',
+        'const row = Math.floor(i / width);',
+        'const x = startPos[0] + column * COLUMN_STEP[0] + row * ROW_STEP[0];',
+        'const y = startPos[1] + column * COLUMN_STEP[1] + row * ROW_STEP[1];',
+        'const z = startPos[2] + column * COLUMN_STEP[2] + row * ROW_STEP[2];',
+    ].join('\n' + indent);
+}
+
+// Plays frames encoded by lib/delta.js. When the animation loops, the encoder appends
+// a loop delta back to frame 0 as the last entry, and playback continues at frame 1.
+// Air only appears in deltas, where it clears a block the previous frame placed.
+function generateMovieScript({ width, height, frameSpans, frameBlocks, frameTicks, blocks, fallbackBlock = DEFAULT_FALLBACK_BLOCK, loop = true, blocksPerTick = DEFAULT_BLOCKS_PER_TICK, tag = 'pixel_art_movie', placement = null }) {
+    if (frameSpans.length === 0) throw new Error('A movie needs at least one frame.');
+    if (frameBlocks.length !== frameSpans.length || frameTicks.length !== frameSpans.length) {
+        throw new Error('frameSpans, frameBlocks and frameTicks must have one entry per frame.');
+    }
+
+    return `const width = ${width};
+const height = ${height};
+const frameSpans = [
+${frameSpans.map(spans => `[${spans.join(',')}]`).join(',\n')}
+];
+const frameBlocks = [
+${frameBlocks.map(blocks => JSON.stringify(blocks)).join(',\n')}
+];
+const frameTicks = [${frameTicks.join(', ')}];
+const LOOP = ${loop && frameSpans.length > 1};
+${blockTableSource(blocks, fallbackBlock)}
+
+const BLOCKS_PER_TICK = ${blocksPerTick};
+const MOVIE_TAG = ${JSON.stringify(tag)};
+${placementSource(width, height, placement)}
+const drawDeltaChunk = (frameIndex, spanIndex, spanOffset, blockIndex, position, ticksSpent) => {
+    const spans = frameSpans[frameIndex];
+    const blocks = frameBlocks[frameIndex];
+    let placed = 0;
+    while (spanIndex < spans.length && placed < BLOCKS_PER_TICK) {
+        if (spanOffset === 0) position += spans[spanIndex];
+        const i = position + spanOffset;
+        ${cellPositionSource('        ')}
+        api.setBlock(x, y, z, blockName(blocks[blockIndex++]));
+        placed++;
+        if (++spanOffset === spans[spanIndex + 1]) {
+            position += spanOffset;
+            spanOffset = 0;
+            spanIndex += 2;
+        }
+    }
+
+    if (spanIndex < spans.length) {
+        S.run(() => drawDeltaChunk(frameIndex, spanIndex, spanOffset, blockIndex, position, ticksSpent + 1), 1, MOVIE_TAG);
+        return;
+    }
+    const nextFrame = frameIndex + 1 < frameSpans.length ? frameIndex + 1 : (LOOP ? 1 : -1);
+    if (nextFrame < 0) return;
+    S.run(() => drawDeltaChunk(nextFrame, 0, 0, 0, 0, 0), Math.max(1, frameTicks[frameIndex] - ticksSpent), MOVIE_TAG);
+};
+
+S.stop(MOVIE_TAG);
+S.run(() => drawDeltaChunk(0, 0, 0, 0, 0, 0), 0, MOVIE_TAG);
+`;
+}
+
+// The static counterpart of the movie script: the picture as data for drawPicture of
+// the world code (see draw_runtime.js), which draws, resumes, undoes and clears it.
+// Without that world code, worldCodeFile, the script only says so in chat.
+// Only how the cells are written differs between formats. A relief's `depths` has one
+// base-36 digit per cell, how many blocks in front of the wall it is, and with
+// fillBehind the blocks between it and the wall are filled with the same block.
+function generateDrawScript({ width, height, blueprintString, blocks, fallbackBlock = DEFAULT_FALLBACK_BLOCK, format = 'packed', blocksPerTick = DEFAULT_BLOCKS_PER_TICK, tag = DEFAULT_DRAW_TAG, placement = null, depths = null, fillBehind = false, worldCodeFile = '<base>_world.js' }) {
+    validateBlueprintFormat(format);
+    if (depths !== null && depths.length !== width * height) throw new Error(`depths has ${depths.length} cells, expected ${width * height}.`);
+    const { origin, columnStep, rowStep, depthStep } = placement || getDefaultPlacement(width, height);
+    const cells = format === 'packed'
+        ? `packed: ${JSON.stringify(packBlueprintString(blueprintString, width))},`
+        : `cells: ${JSON.stringify(blueprintString)},`;
+
+    return `// What running this code block does:
+//   "draw"    draw the picture, keeping the blocks it replaces
+//   "resume"  carry on with a draw that was stopped, from the cell it got to
+//   "undo"    put back what the last draw or clear replaced
+//   "clear"   set the area of the last drawing to air (undo brings it back)
+// Any other code block can do the same with drawings[${JSON.stringify(tag)}].run("undo").
+// The drawing itself is done by drawPicture of the world code, which must be set to
+// ${worldCodeFile}, written with this script. Other world code, such as code.js, lacks it.
+const ACTION = "draw";
+
+if (typeof drawPicture !== "function") api.broadcastMessage(${JSON.stringify(`This draw script needs ${worldCodeFile} as the world code: it has no drawPicture.`)});
+else drawPicture(ACTION, {
+    tag: ${JSON.stringify(tag)},
+    width: ${width},
+    height: ${height},
+    ${cells}
+    blocks: [${blocks.map(({ name, blockId }) => `[${JSON.stringify(name)}, ${blockId}]`).join(', ')}],
+    fallbackBlock: ${JSON.stringify(fallbackBlock)},
+    blocksPerTick: ${blocksPerTick},
+    startPos: [thisPos[0] + ${origin[0]}, thisPos[1] + ${origin[1]}, thisPos[2] + ${origin[2]}],
+    columnStep: [${columnStep.join(', ')}],
+    rowStep: [${rowStep.join(', ')}],
+    depthStep: [${depthStep.join(', ')}],
+    depths: ${JSON.stringify(depths)},
+    fillBehind: ${Boolean(depths && fillBehind)},
+});
+`;
+}
+
+module.exports = {
+    GAME_TICKS_PER_SECOND,
+    DEFAULT_FALLBACK_BLOCK,
+    DEFAULT_DRAW_TAG,
+    BLUEPRINT_FORMATS,
+    validateBlueprintFormat,
+    msToTicks,
+    generateDrawScript,
+    generateMovieScript,
+};
@@ -0,0 +1,235 @@
+const sharp = require('sharp');
+const { srgbToLinear, linearToSrgb } = require('./color');
+
+// Turns a source image (or GIF frame) into what the matchers sample: cropped,
+// color-adjusted, scaled to the output size and optionally sharpened.
+// "box" averages every source pixel a block covers; the other samplers are sharp's
+// resize kernels. Both average in linear light when asked to, weighted by alpha so
+// transparent pixels don't darken the edges of what remains.
+const RESAMPLERS = ['box', 'lanczos3', 'lanczos2', 'mitchell', 'cubic', 'linear', 'nearest'];
+// "stretch" ignores the source aspect, "fit" letterboxes (padding with padColor) and
+// "fill" crops the middle to the target aspect.
+const FIT_MODES = ['stretch', 'fit', 'fill'];
+const DEFAULT_PREPROCESS = {
+    crop: null,
+    fit: 'stretch',
+    padColor: null,
+    brightness: 1,
+    contrast: 1,
+    saturation: 1,
+    gamma: 1,
+    sharpen: 0,
+};
+const SHARP_GAMMA = 2.2;
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, value) => srgbToLinear(value));
+
+function validateResampler(resample) {
+    if (!RESAMPLERS.includes(resample)) {
+        throw new Error(`Unknown resampler "${resample}". Expected one of: ${RESAMPLERS.join(', ')}.`);
+    }
+    return resample;
+}
+
+function validatePreprocessOptions(options) {
+    const merged = { ...DEFAULT_PREPROCESS, ...(options || {}) };
+    for (const key of Object.keys(merged)) {
+        if (!(key in DEFAULT_PREPROCESS)) throw new Error(`Unknown preprocess option "${key}". Expected one of: ${Object.keys(DEFAULT_PREPROCESS).join(', ')}.`);
+    }
+    if (!FIT_MODES.includes(merged.fit)) throw new Error(`Unknown fit "${merged.fit}". Expected one of: ${FIT_MODES.join(', ')}.`);
+    for (const key of ['brightness', 'contrast', 'saturation']) {
+        if (!(typeof merged[key] === 'number' && merged[key] >= 0)) throw new Error(`preprocess.${key} must be a number >= 0, got ${JSON.stringify(merged[key])}.`);
+    }
+    if (!(typeof merged.gamma === 'number' && merged.gamma > 0)) throw new Error(`preprocess.gamma must be a positive number, got ${JSON.stringify(merged.gamma)}.`);
+    if (!(typeof merged.sharpen === 'number' && merged.sharpen >= 0)) throw new Error(`preprocess.sharpen must be a sigma >= 0, got ${JSON.stringify(merged.sharpen)}.`);
+    if (merged.padColor !== null && !(Number.isInteger(merged.padColor) && merged.padColor >= 0 && merged.padColor <= 0xFFFFFF)) {
+        throw new Error(`preprocess.padColor must be null or 0xRRGGBB, got ${JSON.stringify(merged.padColor)}.`);
+    }
+    if (merged.crop !== null) {
+        for (const key of ['left', 'top', 'width', 'height']) {
+            if (!Number.isInteger(merged.crop[key]) || merged.crop[key] < 0) throw new Error(`preprocess.crop.${key} must be a non-negative integer.`);
+        }
+        if (merged.crop.width === 0 || merged.crop.height === 0) throw new Error('preprocess.crop must not be empty.');
+    }
+    return merged;
+}
+
+function toBuffer(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function rawInput(bitmap) {
+    return sharp(toBuffer(bitmap.data), { raw: { width: bitmap.width, height: bitmap.height, channels: 4 } });
+}
+
+async function toBitmap(pipeline) {
+    const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+// Contrast pivots around mid-grey; gamma > 1 brightens the mid-tones.
+function applyToneCurve(data, contrast, gamma) {
+    if (contrast === 1 && gamma === 1) return;
+    const curve = new Uint8Array(256);
+    for (let value = 0; value < 256; value++) {
+        const contrasted = Math.min(1, Math.max(0, (value / 255 - 0.5) * contrast + 0.5));
+        curve[value] = Math.round(Math.pow(contrasted, 1 / gamma) * 255);
+    }
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = curve[data[i]];
+        data[i + 1] = curve[data[i + 1]];
+        data[i + 2] = curve[data[i + 2]];
+    }
+}
+
+// Crops and color-adjusts the source once; resampleSource() then scales it, so the
+// blueprint and the detail source (TEXTURE_SIZE times larger) come from the same pixels.
+// Missing output dimensions follow the (cropped) source aspect.
+async function prepareSource(bitmap, outputWidth, outputHeight, options) {
+    const settings = validatePreprocessOptions(options);
+    let region = { left: 0, top: 0, width: bitmap.width, height: bitmap.height };
+    if (settings.crop) {
+        const { left, top, width, height } = settings.crop;
+        if (left + width > bitmap.width || top + height > bitmap.height) {
+            throw new Error(`preprocess.crop ${width}x${height}+${left}+${top} is outside the ${bitmap.width}x${bitmap.height} source.`);
+        }
+        region = { left, top, width, height };
+    }
+
+    if (outputWidth && !outputHeight) {
+        outputHeight = Math.max(1, Math.round(region.height * (outputWidth / region.width)));
+    } else if (outputHeight && !outputWidth) {
+        outputWidth = Math.max(1, Math.round(region.width * (outputHeight / region.height)));
+    }
+    if (!outputWidth || !outputHeight) throw new Error('Set outputWidth, outputHeight or both.');
+
+    const sourceAspect = region.width / region.height;
+    const targetAspect = outputWidth / outputHeight;
+    let inner = { left: 0, top: 0, width: outputWidth, height: outputHeight };
+    if (settings.fit === 'fill') {
+        if (sourceAspect > targetAspect) {
+            const width = Math.max(1, Math.round(region.height * targetAspect));
+            region = { ...region, left: region.left + Math.floor((region.width - width) / 2), width };
+        } else {
+            const height = Math.max(1, Math.round(region.width / targetAspect));
+            region = { ...region, top: region.top + Math.floor((region.height - height) / 2), height };
+        }
+    } else if (settings.fit === 'fit') {
+        if (sourceAspect > targetAspect) {
+            const height = Math.max(1, Math.round(outputWidth / sourceAspect));
+            inner = { left: 0, top: Math.floor((outputHeight - height) / 2), width: outputWidth, height };
+        } else {
+            const width = Math.max(1, Math.round(outputHeight * sourceAspect));
+            inner = { left: Math.floor((outputWidth - width) / 2), top: 0, width, height: outputHeight };
+        }
+    }
+
+    let pipeline = rawInput(bitmap);
+    if (region.width !== bitmap.width || region.height !== bitmap.height) pipeline = pipeline.extract(region);
+    if (settings.brightness !== 1 || settings.saturation !== 1) {
+        pipeline = pipeline.modulate({ brightness: settings.brightness, saturation: settings.saturation });
+    }
+    const prepared = await toBitmap(pipeline);
+    applyToneCurve(prepared.data, settings.contrast, settings.gamma);
+
+    return { bitmap: prepared, outputWidth, outputHeight, inner, settings };
+}
+
+// For each target pixel along one axis, the source pixels it covers and by how much.
+function boxTaps(sourceSize, targetSize) {
+    const scale = sourceSize / targetSize;
+    return Array.from({ length: targetSize }, (_, target) => {
+        const start = target * scale;
+        const end = start + scale;
+        const taps = [];
+        for (let source = Math.floor(start); source < Math.min(sourceSize, Math.ceil(end)); source++) {
+            taps.push(source, Math.min(end, source + 1) - Math.max(start, source));
+        }
+        return taps;
+    });
+}
+
+function boxResample(bitmap, width, height, linearLight) {
+    const { data, width: sourceWidth } = bitmap;
+    const columns = boxTaps(sourceWidth, width);
+    const rows = boxTaps(bitmap.height, height);
+    const out = Buffer.alloc(width * height * 4);
+    const decode = linearLight ? (value) => SRGB_TO_LINEAR[value] : (value) => value / 255;
+    const encode = linearLight ? linearToSrgb : (value) => Math.round(Math.min(1, Math.max(0, value)) * 255);
+
+    for (let y = 0; y < height; y++) {
+        const rowTaps = rows[y];
+        for (let x = 0; x < width; x++) {
+            const columnTaps = columns[x];
+            let total = 0, alpha = 0, r = 0, g = 0, b = 0;
+            for (let j = 0; j < rowTaps.length; j += 2) {
+                for (let i = 0; i < columnTaps.length; i += 2) {
+                    const weight = rowTaps[j + 1] * columnTaps[i + 1];
+                    const index = (rowTaps[j] * sourceWidth + columnTaps[i]) * 4;
+                    const coverage = weight * data[index + 3] / 255;
+                    total += weight;
+                    alpha += coverage;
+                    r += coverage * decode(data[index]);
+                    g += coverage * decode(data[index + 1]);
+                    b += coverage * decode(data[index + 2]);
+                }
+            }
+            const index = (y * width + x) * 4;
+            if (alpha > 0) {
+                out[index] = encode(r / alpha);
+                out[index + 1] = encode(g / alpha);
+                out[index + 2] = encode(b / alpha);
+            }
+            out[index + 3] = Math.round((alpha / total) * 255);
+        }
+    }
+    return { data: out, width, height };
+}
+
+// Scales a prepared source to outputWidth x outputHeight blocks, times `scale` pixels
+// per block. Returns a { data, width, height } RGBA bitmap.
+async function resampleSource(source, { resample = 'box', linearLight = true, scale = 1 } = {}) {
+    validateResampler(resample);
+    const { settings } = source;
+    const width = source.outputWidth * scale;
+    const height = source.outputHeight * scale;
+    const inner = { left: source.inner.left * scale, top: source.inner.top * scale, width: source.inner.width * scale, height: source.inner.height * scale };
+
+    let scaled;
+    if (resample === 'box') {
+        scaled = boxResample(source.bitmap, inner.width, inner.height, linearLight);
+    } else {
+        let pipeline = rawInput(source.bitmap);
+        if (linearLight && resample !== 'nearest') pipeline = pipeline.gamma(SHARP_GAMMA);
+        scaled = await toBitmap(pipeline.resize(inner.width, inner.height, { kernel: resample, fit: 'fill' }));
+    }
+
+    let result = scaled;
+    if (inner.width !== width || inner.height !== height) {
+        result = { data: Buffer.alloc(width * height * 4), width, height };
+        if (settings.padColor !== null) {
+            for (let i = 0; i < result.data.length; i += 4) {
+                result.data[i] = (settings.padColor >> 16) & 0xFF;
+                result.data[i + 1] = (settings.padColor >> 8) & 0xFF;
+                result.data[i + 2] = settings.padColor & 0xFF;
+                result.data[i + 3] = 255;
+            }
+        }
+        for (let y = 0; y < inner.height; y++) {
+            scaled.data.copy(result.data, ((inner.top + y) * width + inner.left) * 4, y * inner.width * 4, (y + 1) * inner.width * 4);
+        }
+    }
+
+    if (settings.sharpen > 0) {
+        result = await toBitmap(rawInput(result).sharpen({ sigma: settings.sharpen * scale }));
+    }
+    return result;
+}
+
+module.exports = {
+    RESAMPLERS,
+    FIT_MODES,
+    validateResampler,
+    validatePreprocessOptions,
+    prepareSource,
+    resampleSource,
+};
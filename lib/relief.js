@@ -0,0 +1,129 @@
+const { Jimp } = require('jimp');
+const { calculatePerceivedColor, colorDistance } = require('./color');
+const { classifyAlpha } = require('./alpha');
+const { getFaceTowards } = require('./orientation');
+const { prepareSource, resampleSource } = require('./preprocess');
+
+// Reliefs: instead of a flat wall, each cell stands out 0 to maxDepth blocks towards
+// the viewer. Depths come from the picture's own luminance (bright is near) or from a
+// depth map image, white near and black at the wall. Where a cell stands out further
+// than its neighbour, the side of its block that looks at the neighbour shows too, so
+// the matcher also weighs the colors of those faces.
+const LUMINANCE = 'luminance';
+const MAX_DEPTH = 35;
+
+function luminance(data, offset) {
+    return (0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2]) / 255;
+}
+
+// The depth map, scaled to the source and prepared like it: cropped, fitted and resampled
+// the same way, but without the color adjustments, which would shift the depths.
+async function readDepthMap(depthFile, sourceBitmap, source, options) {
+    const depthImage = await Jimp.read(depthFile);
+    if (depthImage.width !== sourceBitmap.width || depthImage.height !== sourceBitmap.height) {
+        console.log(`Scaling the ${depthImage.width}x${depthImage.height} depth map to the ${sourceBitmap.width}x${sourceBitmap.height} source.`);
+        depthImage.resize({ w: sourceBitmap.width, h: sourceBitmap.height });
+    }
+    const geometry = { ...source.settings, padColor: null, brightness: 1, contrast: 1, saturation: 1, gamma: 1, sharpen: 0 };
+    const prepared = await prepareSource(depthImage.bitmap, source.outputWidth, source.outputHeight, geometry);
+    return resampleSource(prepared, { resample: options.resample, linearLight: false });
+}
+
+// Depth per cell as rows of integers, or null for a flat picture. `blueprint` is the
+// resampled source the cells are matched from; cells that become air are at depth 0.
+async function readDepthGrid(sourceBitmap, source, blueprint, options) {
+    if (options.depthSource === null) return null;
+    const depthBitmap = options.depthSource === LUMINANCE ? blueprint : await readDepthMap(options.depthSource, sourceBitmap, source, options);
+    const depthGrid = [];
+    for (let y = 0; y < blueprint.height; y++) {
+        const row = [];
+        for (let x = 0; x < blueprint.width; x++) {
+            const offset = (y * blueprint.width + x) * 4;
+            if (classifyAlpha(blueprint.data[offset + 3], options.alphaThreshold, options.translucentBelow) === 'air') {
+                row.push(0);
+                continue;
+            }
+            // Transparent parts of a depth map are at the wall.
+            const value = depthBitmap.data[offset + 3] === 0 ? 0 : luminance(depthBitmap.data, offset);
+            row.push(Math.round((options.invertDepth ? 1 - value : value) * options.maxDepth));
+        }
+        depthGrid.push(row);
+    }
+    return depthGrid;
+}
+
+// The picture's four neighbours of a cell and the block face that looks at each.
+function getStepFaces(placement) {
+    const negate = (vector) => vector.map(value => -value);
+    return [
+        { dx: 0, dy: -1, face: getFaceTowards(negate(placement.rowStep)) },
+        { dx: 0, dy: 1, face: getFaceTowards(placement.rowStep) },
+        { dx: -1, dy: 0, face: getFaceTowards(negate(placement.columnStep)) },
+        { dx: 1, dy: 0, face: getFaceTowards(placement.columnStep) },
+    ];
+}
+
+// Bit k is set when the face of stepFaces[k] shows at the cell: it stands out further
+// than that neighbour (air and the picture edge are at the wall) or, without
+// fillBehind, any step at all, as nothing behind it covers that face then.
+function getExposedFaces(depthGrid, x, y, stepFaces, fillBehind) {
+    const depth = depthGrid[y][x];
+    let mask = 0;
+    stepFaces.forEach(({ dx, dy }, k) => {
+        const row = depthGrid[y + dy];
+        const neighbour = row && row[x + dx] !== undefined ? row[x + dx] : 0;
+        if (fillBehind ? depth > neighbour : depth !== neighbour) mask |= 1 << k;
+    });
+    return mask;
+}
+
+// Color matching for relief cells: a candidate's distance to the pixel on the front
+// face, plus stepFaceWeight times that of every exposed face. A face without a
+// texture of its own counts with the front color.
+function createReliefMatcher(candidates, stepFaces, texturePalette, options) {
+    const faceColorCache = new Map();
+    const faceColor = (textureId) => {
+        if (!faceColorCache.has(textureId)) {
+            const texture = textureId === null || textureId === undefined ? null : texturePalette[textureId];
+            faceColorCache.set(textureId, texture ? calculatePerceivedColor(texture, options.searchDepth ?? Infinity, options.linearLightAveraging) : null);
+        }
+        return faceColorCache.get(textureId);
+    };
+    const faceColors = candidates.map(candidate => {
+        const faces = candidate.textureInfo.block.faces || {};
+        return stepFaces.map(({ face }) => faceColor(faces[face]) || candidate.perceivedColor);
+    });
+
+    return {
+        findBestMatch(pixelColor, exposedFaces) {
+            let bestMatch = null;
+            let minDistance = Infinity;
+            candidates.forEach((candidate, index) => {
+                let distance = colorDistance(pixelColor, candidate.perceivedColor, options.colorMetric);
+                for (let k = 0; k < stepFaces.length && distance < minDistance; k++) {
+                    if (exposedFaces & (1 << k)) distance += options.stepFaceWeight * colorDistance(pixelColor, faceColors[index][k], options.colorMetric);
+                }
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    bestMatch = candidate;
+                }
+            });
+            return bestMatch;
+        },
+    };
+}
+
+// One base-36 digit per cell, as rows for the blueprint and joined for the scripts.
+function encodeDepthRows(depthGrid) {
+    return depthGrid.map(row => row.map(depth => depth.toString(36)).join(''));
+}
+
+module.exports = {
+    LUMINANCE,
+    MAX_DEPTH,
+    readDepthGrid,
+    getStepFaces,
+    getExposedFaces,
+    createReliefMatcher,
+    encodeDepthRows,
+};
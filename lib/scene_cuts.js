@@ -0,0 +1,62 @@
+const { colorDistance, toMatchColor } = require('./color');
+
+// A block jumps when its color moves by this share of the black-to-white distance, far
+// more than a fade or most motion moves it in one frame.
+const CUT_CHANGE_SHARE = 0.25;
+// The adaptive switch threshold never drops below this share of textureSwitchThreshold,
+// so grainy or noisy footage, where every block moves a little, stays steadied.
+const MIN_ADAPTIVE_SHARE = 0.5;
+
+// Compares each matched frame with the one before it, block by block, in the
+// colors matchFrame actually matched. A frame where at least sceneCutThreshold of the
+// blocks jumped in color, or turned to or from air, is a scene cut. Frames must be
+// passed in playback order.
+function createSceneTracker(options) {
+    let previous = null;
+    const cutLevel = CUT_CHANGE_SHARE * colorDistance(toMatchColor({ r: 0, g: 0, b: 0 }), toMatchColor({ r: 255, g: 255, b: 255 }), options.colorMetric);
+
+    const readColor = (pixels, cell) => toMatchColor({ r: pixels[cell * 3], g: pixels[cell * 3 + 1], b: pixels[cell * 3 + 2] });
+
+    return {
+        // Returns { meanChange, changedFraction, cut, switchThreshold }.
+        update(frameMatch) {
+            const baseThreshold = options.textureSwitchThreshold;
+            const current = { bestIds: frameMatch.bestIds, pixels: frameMatch.pixels };
+            if (!previous) {
+                previous = current;
+                return { meanChange: 0, changedFraction: 0, cut: false, switchThreshold: baseThreshold };
+            }
+
+            let blocks = 0, changed = 0, colorChange = 0, colorBlocks = 0;
+            for (let cell = 0; cell < current.bestIds.length; cell++) {
+                const wasAir = previous.bestIds[cell] === -1, isAir = current.bestIds[cell] === -1;
+                if (wasAir && isAir) continue;
+                blocks++;
+                if (wasAir !== isAir) {
+                    changed++;
+                    continue;
+                }
+                const distance = colorDistance(readColor(previous.pixels, cell), readColor(current.pixels, cell), options.colorMetric);
+                colorChange += distance;
+                colorBlocks++;
+                if (distance > cutLevel) changed++;
+            }
+            previous = current;
+
+            const meanChange = colorBlocks > 0 ? colorChange / colorBlocks : 0;
+            const changedFraction = blocks > 0 ? changed / blocks : 0;
+            const cut = options.sceneCutThreshold !== null && changedFraction >= options.sceneCutThreshold;
+            // The more the whole frame moves, the less the hysteresis holds blocks back,
+            // so fades and pans follow the source instead of lagging in steps. Only a
+            // scene cut drops it altogether.
+            const switchThreshold = options.adaptiveSwitchThreshold && baseThreshold > 0
+                ? baseThreshold * Math.max(MIN_ADAPTIVE_SHARE, 1 - meanChange / baseThreshold)
+                : baseThreshold;
+            return { meanChange, changedFraction, cut, switchThreshold };
+        },
+    };
+}
+
+module.exports = {
+    createSceneTracker,
+};
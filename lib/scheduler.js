@@ -0,0 +1,80 @@
+const { drawPicture } = require('./draw_runtime');
+
+// The tick scheduler the generated scripts run on, readable: code.js holds the same
+// `S` hand-minified. Scripts call S.run(task, delay, tag) and S.stop(tag); the world
+// code's tick callback calls S.tick() once per game tick.
+//
+// A task runs `delay` ticks from now, after the tasks scheduled for that tick before
+// it. A delay of 0 from inside a task runs it later in the same tick; from a code
+// block, on the next tick. stop(tag) cancels every task with that tag scheduled so
+// far, including ones a repeating task already queued for later ticks.
+//
+// createScheduler is emitted into the world code with Function.prototype.toString,
+// so it may only use what the game's code sandbox has.
+function createScheduler() {
+    const tasksByTick = {};
+    const stoppedBefore = {};
+    let currentTick = 0;
+    let nextTaskId = 0;
+
+    return {
+        run(task, delay = 0, tag = '0') {
+            const dueTick = currentTick + Math.max(0, Math.floor(delay) || 0);
+            if (!tasksByTick[dueTick]) tasksByTick[dueTick] = [];
+            tasksByTick[dueTick].push({ task, tag: tag || '0', id: nextTaskId++ });
+        },
+        stop(tag) {
+            stoppedBefore[tag] = nextTaskId++;
+        },
+        tick() {
+            const tasks = tasksByTick[currentTick];
+            let failure = null;
+            // tasks.length is read each time, so tasks added during this tick run too.
+            for (let i = 0; tasks && i < tasks.length; i++) {
+                const { task, tag, id } = tasks[i];
+                if (id < stoppedBefore[tag]) continue;
+                // One failing task neither stops the others nor the clock; its error
+                // is rethrown once the tick is done, for the game to report.
+                try {
+                    task();
+                } catch (error) {
+                    if (!failure) failure = error;
+                }
+            }
+            delete tasksByTick[currentTick++];
+            if (failure) throw failure;
+        },
+        // Stopped tasks stay queued until their tick, but no longer count.
+        isIdle() {
+            for (const dueTick in tasksByTick) {
+                if (tasksByTick[dueTick].some(({ tag, id }) => !(id < stoppedBefore[tag]))) return false;
+            }
+            return true;
+        },
+    };
+}
+
+// What the simulate command's worldCode option takes for the code generateWorldCode writes.
+const GENERATED_WORLD_CODE = 'generated';
+
+// World code for a Bloxd world: sets up `S` for the code blocks, drawPicture for the
+// draw scripts, and the tick callback. Both are made globals, the only names code
+// blocks share with the world code.
+function generateWorldCode() {
+    return `// Tick scheduler for the generated draw and movie scripts (bloxd-movie lib/scheduler.js).
+${createScheduler.toString()}
+
+// Draws the pictures of the generated draw scripts (bloxd-movie lib/draw_runtime.js).
+${drawPicture.toString()}
+
+S = createScheduler();
+globalThis.drawPicture = drawPicture;
+tick = () => S.tick();
+`;
+}
+
+module.exports = {
+    GENERATED_WORLD_CODE,
+    createScheduler,
+    generateWorldCode,
+};
@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { Jimp } = require('jimp');
+const { ORIENTATIONS, FACE_NORMALS } = require('./orientation');
+const { resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+const { AIR, loadBlockTable, getBlockFaceTexture, drawTexture } = require('./block_render');
+const { GENERATED_WORLD_CODE, generateWorldCode } = require('./scheduler');
+
+// A stand-in for the game, enough to run code.js and the generated scripts without it:
+// an in-memory world behind the `api` calls they make, code blocks run at `thisPos`,
+// and tick() called once per game tick as the game does. Everything a script places
+// is counted per tick, and the world can be rendered with the atlas textures.
+
+const positionKey = (x, y, z) => `${x},${y},${z}`;
+
+function createSimulator({ blockTable, thisPos = [0, 0, 0], log = console.log }) {
+    const world = new Map();
+    const placedPerTick = [];
+    const messages = [];
+    const unknownBlocks = new Map();
+    let placedThisTick = 0;
+
+    const api = {
+        setBlock(x, y, z, blockName) {
+            if (typeof blockName !== 'string' || (blockName !== AIR && !blockTable.blocksByName.has(blockName))) {
+                unknownBlocks.set(String(blockName), (unknownBlocks.get(String(blockName)) || 0) + 1);
+            }
+            const key = positionKey(x, y, z);
+            if (blockName === AIR) world.delete(key);
+            else world.set(key, blockName);
+            placedThisTick++;
+        },
+        getBlock(x, y, z) {
+            return world.get(positionKey(x, y, z)) || AIR;
+        },
+        blockIdToBlockName(blockId) {
+            return blockTable.namesById.get(Number(blockId));
+        },
+        blockNameToBlockId(blockName) {
+            if (blockName === AIR) return 0;
+            const block = blockTable.blocksByName.get(blockName);
+            return block ? block.blockId : undefined;
+        },
+        broadcastMessage(message) {
+            messages.push(String(message));
+            log(`[chat] ${message}`);
+        },
+        log(...args) {
+            log('[log]', ...args);
+        },
+    };
+
+    const context = vm.createContext({ api, thisPos, console: { log: api.log, warn: api.log, error: api.log } });
+    context.globalThis = context;
+
+    return {
+        world,
+        messages,
+        unknownBlocks,
+        // World code, such as code.js, runs at the top level and shares its globals
+        // with every code block.
+        runWorldCode(source, filename = 'world code') {
+            vm.runInContext(source, context, { filename });
+        },
+        // A code block runs in its own scope, so two scripts can both declare `width`.
+        runCodeBlock(source, position = thisPos, filename = 'code block') {
+            context.thisPos = position;
+            vm.runInContext(`(() => {\n${source}\n})();`, context, { filename, lineOffset: -1 });
+        },
+        // Blocks a code block places right away count towards the next tick.
+        tick() {
+            if (typeof context.tick === 'function') vm.runInContext('tick(50)', context, { filename: 'tick' });
+            placedPerTick.push(placedThisTick);
+            placedThisTick = 0;
+        },
+        // True when nothing is scheduled. Knows the S scheduler of scheduler.js and of
+        // code.js; without either, when the last tick placed nothing.
+        isIdle() {
+            const scheduler = context.S;
+            if (scheduler && typeof scheduler.isIdle === 'function') return scheduler.isIdle();
+            if (scheduler && scheduler.t && typeof scheduler.t === 'object') return Object.keys(scheduler.t).length === 0;
+            return placedPerTick.length > 0 && placedPerTick[placedPerTick.length - 1] === 0;
+        },
+        getStats() {
+            const activeTicks = placedPerTick.filter(count => count > 0);
+            const placed = activeTicks.reduce((total, count) => total + count, 0);
+            let lastActiveTick = -1;
+            for (let i = placedPerTick.length - 1; i >= 0 && lastActiveTick < 0; i--) if (placedPerTick[i] > 0) lastActiveTick = i;
+            return {
+                ticks: placedPerTick.length,
+                placed,
+                activeTicks: activeTicks.length,
+                lastActiveTick,
+                maxBlocksPerTick: activeTicks.reduce((max, count) => Math.max(max, count), 0),
+                meanBlocksPerTick: activeTicks.length > 0 ? placed / activeTicks.length : 0,
+                blocks: world.size,
+                unknownBlocks: Object.fromEntries(unknownBlocks),
+                placedPerTick: placedPerTick.slice(),
+            };
+        },
+    };
+}
+
+// Draws the world as seen from `view` (an orientation: where the viewer stands), one
+// texture per visible block face. Blocks behind see-through textures show through them.
+// Resolves to null for an empty world.
+async function renderWorld(world, { blockTable, textureLoader, textureSize, view = 'south' }) {
+    const { face, right, up } = ORIENTATIONS[view];
+    const normal = FACE_NORMALS[face];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+    const cells = [];
+    for (const [key, blockName] of world) {
+        const position = key.split(',').map(Number);
+        cells.push({ u: dot(position, right), v: dot(position, up), depth: dot(position, normal), blockName });
+    }
+    if (cells.length === 0) return null;
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    for (const { u, v } of cells) {
+        minU = Math.min(minU, u);
+        maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v);
+        maxV = Math.max(maxV, v);
+    }
+
+    const image = new Jimp({ width: (maxU - minU + 1) * textureSize, height: (maxV - minV + 1) * textureSize });
+    // Farthest first, so nearer blocks are drawn over them.
+    cells.sort((a, b) => a.depth - b.depth);
+    for (const cell of cells) {
+        const texture = await getBlockFaceTexture(blockTable.blocksByName.get(cell.blockName), face, textureLoader);
+        drawTexture(image.bitmap, texture, (cell.u - minU) * textureSize, (maxV - cell.v) * textureSize, textureSize);
+    }
+    return image;
+}
+
+// Runs the world code, then each script as a code block, tick by tick until the
+// scheduler is idle or maxTicks pass, and renders the result. `options` are the
+// "simulate" options (see options.js). Resolves to { stats, idle, messages, outputs }.
+async function simulateScripts(scriptFiles, options = {}) {
+    options = resolveOptions('simulate', options);
+    const blockTable = await loadBlockTable(options.blockTextureMapFile);
+    const simulator = createSimulator({ blockTable, thisPos: options.codeBlockPosition });
+
+    if (options.worldCode) {
+        const generated = options.worldCode === GENERATED_WORLD_CODE;
+        console.log(`Running ${generated ? 'the generated world code' : `world code ${options.worldCode}`}...`);
+        simulator.runWorldCode(generated ? generateWorldCode() : await fs.readFile(options.worldCode, 'utf-8'), options.worldCode);
+        // Lets the world code finish scheduled setup, such as code.js filling its B table.
+        simulator.tick();
+    }
+    const setupTicks = simulator.getStats().ticks;
+    for (const scriptFile of scriptFiles) {
+        console.log(`Running ${scriptFile} as a code block at ${options.codeBlockPosition.join(', ')}...`);
+        simulator.runCodeBlock(await fs.readFile(scriptFile, 'utf-8'), options.codeBlockPosition, scriptFile);
+    }
+    while (simulator.getStats().ticks - setupTicks < options.maxTicks) {
+        simulator.tick();
+        if (simulator.isIdle()) break;
+    }
+
+    const stats = simulator.getStats();
+    const idle = simulator.isIdle();
+    const scriptTicks = Math.max(0, stats.lastActiveTick + 1 - setupTicks);
+    console.log(idle
+        ? `Done after ${scriptTicks} tick(s) (${(scriptTicks / 20).toFixed(2)}s).`
+        : `Still running after ${options.maxTicks} ticks (a looping movie never ends); stopped there.`);
+    console.log(`Placed ${stats.placed} blocks in ${stats.activeTicks} tick(s): at most ${stats.maxBlocksPerTick}, on average ${stats.meanBlocksPerTick.toFixed(1)} per tick.`);
+    console.log(`The world holds ${stats.blocks} blocks.`);
+    const unknown = Object.entries(stats.unknownBlocks);
+    if (unknown.length > 0) {
+        console.warn(`Warning: ${unknown.reduce((total, [, count]) => total + count, 0)} block(s) placed with names the game doesn't know: ${unknown.map(([name, count]) => `${name} (${count})`).join(', ')}.`);
+    }
+
+    const outputs = {};
+    if (options.render) {
+        const renderFile = options.renderFile ?? path.join(path.dirname(scriptFiles[0]), `${path.basename(scriptFiles[0], path.extname(scriptFiles[0]))}_render.png`);
+        const textureLoader = createTextureLoader(options.texturesDir, options.textureSize);
+        const image = await renderWorld(simulator.world, { blockTable, textureLoader, textureSize: options.textureSize, view: options.view });
+        if (image) {
+            await image.write(renderFile);
+            console.log(`Rendered the world as seen from the ${options.view} to ${renderFile}`);
+            outputs.render = renderFile;
+        }
+    }
+    return { stats, idle, messages: simulator.messages, outputs };
+}
+
+module.exports = {
+    createSimulator,
+    renderWorld,
+    simulateScripts,
+};
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const { resolveOptions } = require('./options');
+const { createTextureLoader } = require('./textures');
+
+// Block IDs never indexed, on top of every slab.
+const IDS_TO_SKIP = new Set([
+    '1', '127', '655', '656', '657', '658', '659', '660',
+    '1227', '1228', '1229', '1230', '1231', '1232'
+]);
+
+function getSimpleFaceName(complexFaceName) {
+    if (complexFaceName.includes('Top')) return 'top';
+    if (complexFaceName.includes('Bottom')) return 'bottom';
+    if (complexFaceName.includes('Front')) return 'front';
+    if (complexFaceName.includes('Back')) return 'back';
+    if (complexFaceName.includes('Right')) return 'right';
+    if (complexFaceName.includes('Left')) return 'left';
+    console.warn(`Could not determine simple face name for: ${complexFaceName}`);
+    return 'unknown';
+}
+
+async function analyzeTexture(textureInfo, textureLoader, textureSize) {
+    const textureImage = await textureLoader.getTextureImage(textureInfo);
+
+    const colorCounts = {};
+    let hasTransparency = false;
+
+    textureImage.scan(0, 0, textureSize, textureSize, (x, y, idx) => {
+        const a = textureImage.bitmap.data[idx + 3];
+        let colorKey;
+        if (a < 255) {
+            hasTransparency = true;
+            colorKey = "#transparent";
+        } else {
+            const r = textureImage.bitmap.data[idx];
+            const g = textureImage.bitmap.data[idx + 1];
+            const b = textureImage.bitmap.data[idx + 2];
+            colorKey = '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+        }
+        colorCounts[colorKey] = (colorCounts[colorKey] || 0) + 1;
+    });
+
+    const sortedColors = Object.entries(colorCounts).sort(([, countA], [, countB]) => countB - countA);
+    const colorHexes = sortedColors.map(([hex]) => hex);
+    const colorPixelCounts = sortedColors.map(([, count]) => count);
+
+    return {
+        hasTransparency,
+        colorCount: colorHexes.length,
+        colorHexes: colorHexes,
+        colorPixelCounts: colorPixelCounts
+    };
+}
+
+// Analyzes every texture of every block in blockTextureMapFile and writes the texture
+// index (indexFile) and the list of indexed block IDs (blockIdListFile).
+// `options` are the "index" options (see options.js). Resolves to the index.
+async function buildTextureIndex(options = {}) {
+    options = resolveOptions('index', options);
+    const textureLoader = createTextureLoader(options.texturesDir, options.textureSize);
+
+    console.log(`Reading data from ${options.blockTextureMapFile}...`);
+    const mapData = JSON.parse(await fs.readFile(options.blockTextureMapFile, 'utf-8'));
+
+    const texturePalette = [];
+    const blockMap = {};
+    const faceIndex = { top: {}, bottom: {}, front: {}, back: {}, left: {}, right: {} };
+    const includedBlockIds = [];
+    const textureCache = {};
+    const textureIdToBlockIds = {};
+
+    const blockEntries = Object.entries(mapData);
+    console.log(`Analyzing ${blockEntries.length} blocks...`);
+
+    for (const [blockId, blockData] of blockEntries) {
+        if (blockData.name.includes("Slab")) {
+            continue;
+        }
+        if (IDS_TO_SKIP.has(blockId)) {
+            continue;
+        }
+
+        includedBlockIds.push(parseInt(blockId, 10));
+
+        blockMap[blockId] = blockData.name;
+        const parsedBlockId = parseInt(blockId, 10);
+
+        for (const [complexFaceName, paletteIndex] of Object.entries(blockData.faceMap)) {
+            const textureInfo = blockData.texturePalette[paletteIndex];
+            if (!textureInfo) continue;
+
+            const cacheKey = `${textureInfo.atlasFileIndex}-${textureInfo.textureIndexOnAtlas}`;
+            let textureId;
+
+            if (textureCache[cacheKey] === undefined) {
+                const analysis = await analyzeTexture(textureInfo, textureLoader, options.textureSize);
+                textureId = texturePalette.length;
+                textureCache[cacheKey] = textureId;
+
+                texturePalette.push({
+                    textureId,
+                    ...textureInfo,
+                    ...analysis
+                });
+            } else {
+                textureId = textureCache[cacheKey];
+            }
+
+            if (!textureIdToBlockIds[textureId]) {
+                textureIdToBlockIds[textureId] = new Set();
+            }
+            textureIdToBlockIds[textureId].add(parsedBlockId);
+
+            const simpleFaceName = getSimpleFaceName(complexFaceName);
+            if (simpleFaceName === 'unknown') continue;
+
+            const analysisResult = texturePalette[textureId];
+            for (const colorHex of analysisResult.colorHexes) {
+                if (!faceIndex[simpleFaceName][colorHex]) {
+                    faceIndex[simpleFaceName][colorHex] = [];
+                }
+                if (!faceIndex[simpleFaceName][colorHex].includes(textureId)) {
+                    faceIndex[simpleFaceName][colorHex].push(textureId);
+                }
+            }
+        }
+    }
+
+    for (const texture of texturePalette) {
+        const blockIdSet = textureIdToBlockIds[texture.textureId];
+        texture.blockIds = blockIdSet ? Array.from(blockIdSet).sort((a, b) => a - b) : [];
+    }
+
+    const finalData = {
+        texture_palette: texturePalette,
+        block_map: blockMap,
+        face_index: faceIndex
+    };
+
+    includedBlockIds.sort((a, b) => a - b);
+    console.log(`\nWriting available block ID list to ${options.blockIdListFile}...`);
+    await fs.writeFile(options.blockIdListFile, JSON.stringify(includedBlockIds));
+
+    console.log(`Analysis complete! Writing final index to ${options.indexFile}...`);
+    await fs.writeFile(options.indexFile, JSON.stringify(finalData));
+
+    console.log("Done!");
+    console.log(`Total unique textures found: ${texturePalette.length}`);
+    console.log(`Total available block IDs: ${includedBlockIds.length}`);
+    return finalData;
+}
+
+module.exports = {
+    buildTextureIndex,
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+const { Jimp } = require('jimp');
+
+// Loads texture atlases on first use and cuts single textures out of them.
+function createTextureLoader(texturesDir, textureSize) {
+    const atlasCache = {};
+    const textureImageCache = {};
+
+    async function getAtlas(atlasFileIndex) {
+        if (atlasCache[atlasFileIndex]) return atlasCache[atlasFileIndex];
+        const atlasPath = path.join(texturesDir, `atlas_${atlasFileIndex}.png`);
+        const atlas = await Jimp.read(atlasPath);
+        atlasCache[atlasFileIndex] = atlas;
+        return atlas;
+    }
+
+    async function getTextureImage(textureInfo) {
+        const { atlasFileIndex, textureIndexOnAtlas } = textureInfo;
+        const cacheKey = `${atlasFileIndex}-${textureIndexOnAtlas}`;
+        if (textureImageCache[cacheKey]) return textureImageCache[cacheKey];
+        const atlas = await getAtlas(atlasFileIndex);
+        const texturesPerRow = Math.floor(atlas.width / textureSize);
+        const left = (textureIndexOnAtlas % texturesPerRow) * textureSize;
+        const top = Math.floor(textureIndexOnAtlas / texturesPerRow) * textureSize;
+        const textureImage = atlas.clone().crop({ x: left, y: top, w: textureSize, h: textureSize });
+        textureImageCache[cacheKey] = textureImage;
+        return textureImage;
+    }
+
+    return { getAtlas, getTextureImage };
+}
+
+module.exports = {
+    createTextureLoader,
+};
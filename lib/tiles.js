@@ -0,0 +1,124 @@
+const { createBlockPalette, encodeBlueprintString } = require('./blueprint');
+const { DEFAULT_DRAW_TAG, generateDrawScript } = require('./playback_script');
+const { encodeDepthRows } = require('./relief');
+
+// Splits a picture whose draw script is too big for one code block into tiles, each
+// drawn by a script of its own. Every tile script carries its own blocks and its
+// offset from the code block, so all of them run from the same code block (the shared
+// anchor) and together build exactly the wall of the whole script. Like any draw
+// script, they draw through drawPicture, so the world code must be <base>_world.js.
+//   rows        full-width bands, as many rows each as fit
+//   rectangles  squares as big as fit (smaller at the right and bottom edges)
+const TILE_SHAPES = ['rows', 'rectangles'];
+// Scripts are measured with a tag this long, so the real (shorter) tags always fit.
+const MEASURE_TAG = `${DEFAULT_DRAW_TAG}_9999`;
+
+function validateTileShape(shape) {
+    if (!TILE_SHAPES.includes(shape)) {
+        throw new Error(`Unknown tile shape "${shape}". Expected one of: ${TILE_SHAPES.join(', ')}.`);
+    }
+    return shape;
+}
+
+// The draw script for the tile's cells, placed where they are in the whole picture.
+// `tile` is { x, y, width, height } in cells, y counted from the top row; a relief's
+// depthGrid (see relief.js) comes in scriptOptions and is cut the same way.
+function generateTileScript(choicesGrid, texturePalette, blockMap, tile, placement, { depthGrid = null, ...scriptOptions }) {
+    const cut = (grid) => grid.slice(tile.y, tile.y + tile.height).map(row => row.slice(tile.x, tile.x + tile.width));
+    const blockPalette = createBlockPalette(blockMap);
+    const blueprintString = encodeBlueprintString(cut(choicesGrid), texturePalette, blockPalette);
+    const depths = depthGrid ? encodeDepthRows(cut(depthGrid)).join('') : null;
+    const origin = getTileOrigin(tile, placement);
+    return generateDrawScript({ width: tile.width, height: tile.height, blueprintString, blocks: blockPalette.entries(), placement: { ...placement, origin }, depths, ...scriptOptions });
+}
+
+function getTileOrigin(tile, placement) {
+    return placement.origin.map((value, axis) => value + tile.x * placement.columnStep[axis] + tile.y * placement.rowStep[axis]);
+}
+
+function gridTiles(width, height, side) {
+    const tiles = [];
+    for (let y = 0; y < height; y += side) {
+        for (let x = 0; x < width; x += side) tiles.push({ x, y, width: Math.min(side, width - x), height: Math.min(side, height - y) });
+    }
+    return tiles;
+}
+
+// Largest n in [1, most] for which fits(n), given fits(1); sizes may not grow strictly
+// with n (row repeats pack well), so only ever settles on an n that was measured to fit.
+function largestFitting(most, fits) {
+    let low = 1, high = most;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (fits(mid)) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+// Returns the tiles in drawing order, bottom row of tiles first and left to right, so a
+// wall goes up from the ground. `measure(tile)` is the script size of a tile in bytes.
+function planTiles(width, height, maxBytes, shape, measure) {
+    validateTileShape(shape);
+    const cellBytes = measure({ x: 0, y: 0, width: 1, height: 1 });
+    if (cellBytes > maxBytes) throw new Error(`maxScriptBytes ${maxBytes} is too small: a script for a single block takes ${cellBytes} bytes.`);
+
+    let tiles;
+    if (shape === 'rows') {
+        // Bands are filled in drawing order, so a thinner last one ends up at the top.
+        tiles = [];
+        for (let bottom = height; bottom > 0;) {
+            const rowBytes = measure({ x: 0, y: bottom - 1, width, height: 1 });
+            if (rowBytes > maxBytes) throw new Error(`Row ${bottom - 1} alone takes a ${rowBytes}-byte script, more than maxScriptBytes ${maxBytes}; use tileShape "rectangles".`);
+            const rows = largestFitting(bottom, count => measure({ x: 0, y: bottom - count, width, height: count }) <= maxBytes);
+            tiles.push({ x: 0, y: bottom - rows, width, height: rows });
+            bottom -= rows;
+        }
+    } else {
+        const allFit = (side) => gridTiles(width, height, side).every(tile => measure(tile) <= maxBytes);
+        const side = largestFitting(Math.max(width, height), allFit);
+        if (side === 1 && !allFit(1)) throw new Error(`Some blocks don't fit maxScriptBytes ${maxBytes} even one per script.`);
+        tiles = gridTiles(width, height, side);
+    }
+    return tiles.sort((a, b) => b.y - a.y || a.x - b.x);
+}
+
+// Plans the tiles and generates their scripts. Returns [{ x, y, width, height, origin,
+// tag, script }] in drawing order; tags are the draw tag numbered from 1.
+function splitDrawScript(choicesGrid, texturePalette, blockMap, placement, maxBytes, shape, scriptOptions) {
+    const height = choicesGrid.length, width = choicesGrid[0].length;
+    const measure = (tile) => Buffer.byteLength(generateTileScript(choicesGrid, texturePalette, blockMap, tile, placement, { ...scriptOptions, tag: MEASURE_TAG }), 'utf-8');
+    return planTiles(width, height, maxBytes, shape, measure).map((tile, index) => {
+        const tag = `${DEFAULT_DRAW_TAG}_${index + 1}`;
+        return {
+            ...tile,
+            origin: getTileOrigin(tile, placement),
+            tag,
+            script: generateTileScript(choicesGrid, texturePalette, blockMap, tile, placement, { ...scriptOptions, tag }),
+        };
+    });
+}
+
+// Which tile goes where and in what order, as printed and saved next to the scripts.
+function formatTileGuide(tiles, files, { width, height, maxBytes, worldCodeFile }) {
+    const lines = [
+        `${tiles.length} tiles for a ${width}x${height} picture, each script at most ${maxBytes} bytes.`,
+        `Set ${worldCodeFile} as the world code first: the tile scripts draw through its drawPicture and without it only say so in chat.`,
+        'Run every tile from the same code block, in this order; each one builds its own part of the wall.',
+    ];
+    tiles.forEach((tile, index) => {
+        const columns = `columns ${tile.x}-${tile.x + tile.width - 1}`;
+        const rows = `rows ${tile.y}-${tile.y + tile.height - 1}`;
+        lines.push(`  ${String(index + 1).padStart(String(tiles.length).length)}. ${files[index]}: ${columns}, ${rows} (${tile.width}x${tile.height}), top-left block at [${tile.origin.join(', ')}] from the code block, ${(Buffer.byteLength(tile.script, 'utf-8') / 1024).toFixed(1)} KB, tag ${tile.tag}`);
+    });
+    lines.push('Columns count from the left of the picture and rows from its top.');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    TILE_SHAPES,
+    validateTileShape,
+    planTiles,
+    splitDrawScript,
+    formatTileGuide,
+};
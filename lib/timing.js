@@ -0,0 +1,64 @@
+const { GAME_TICKS_PER_SECOND } = require('./playback_script');
+
+// Turns source frame delays into what is played in game: which source frames are
+// shown, in order, and for how many ticks. Boundaries are rounded to ticks from the
+// running total, so rounding never drifts from real time; a frame left with no tick
+// of its own is dropped. With framesPerSecond, frames are sampled at that rate
+// instead: faster sources drop frames, slower ones hold a frame over several slots.
+const MS_PER_TICK = 1000 / GAME_TICKS_PER_SECOND;
+
+function buildTimeline(delaysMs, { startFrame = 0, endFrame = null, speed = 1, framesPerSecond = null } = {}) {
+    if (framesPerSecond !== null && framesPerSecond > GAME_TICKS_PER_SECOND) {
+        throw new Error(`framesPerSecond can be at most ${GAME_TICKS_PER_SECOND}, the game's tick rate, got ${framesPerSecond}.`);
+    }
+    const lastFrame = endFrame === null ? delaysMs.length - 1 : Math.min(endFrame, delaysMs.length - 1);
+    if (startFrame > lastFrame) {
+        throw new Error(`No frames left: startFrame ${startFrame} is after the last frame (${lastFrame}).`);
+    }
+
+    // starts[k] is when source frame startFrame + k begins; the last entry is the end.
+    const starts = [0];
+    for (let index = startFrame; index <= lastFrame; index++) {
+        starts.push(starts[starts.length - 1] + delaysMs[index] / speed);
+    }
+    const durationMs = starts[starts.length - 1];
+
+    const shown = [];
+    if (framesPerSecond === null) {
+        for (let k = 0; k < starts.length - 1; k++) shown.push({ sourceIndex: startFrame + k, startMs: starts[k] });
+    } else {
+        const slotMs = 1000 / framesPerSecond;
+        let k = 0;
+        for (let slot = 0; slot * slotMs < durationMs; slot++) {
+            const time = slot * slotMs;
+            while (starts[k + 1] <= time) k++;
+            if (shown.length === 0 || shown[shown.length - 1].sourceIndex !== startFrame + k) {
+                shown.push({ sourceIndex: startFrame + k, startMs: time });
+            }
+        }
+    }
+
+    const toTick = (ms) => Math.round(ms / MS_PER_TICK);
+    const frames = [];
+    for (let i = 0; i < shown.length; i++) {
+        const endMs = i + 1 < shown.length ? shown[i + 1].startMs : durationMs;
+        const ticks = toTick(endMs) - toTick(shown[i].startMs);
+        if (ticks > 0) frames.push({ sourceIndex: shown[i].sourceIndex, ticks });
+    }
+    // A clip shorter than half a tick still shows its first frame.
+    if (frames.length === 0) frames.push({ sourceIndex: startFrame, ticks: 1 });
+
+    const sourceFrameCount = lastFrame - startFrame + 1;
+    return {
+        frames,
+        durationMs,
+        totalTicks: frames.reduce((total, frame) => total + frame.ticks, 0),
+        sourceFrameCount,
+        droppedFrames: sourceFrameCount - frames.length,
+    };
+}
+
+module.exports = {
+    MS_PER_TICK,
+    buildTimeline,
+};
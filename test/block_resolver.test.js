@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankTextureBlocks } = require('../lib/block_resolver');
+
+// Every block shows its texture on all six faces.
+function createBlocks(blockTextures) {
+    const faceMap = Object.fromEntries(['Top', 'Bottom', 'Front', 'Back', 'Left', 'Right'].map(face => [`block_${face}_0`, 0]));
+    const blockTextureMap = {};
+    for (const [blockId, textureId] of Object.entries(blockTextures)) {
+        blockTextureMap[blockId] = { faceMap, texturePalette: [{ atlasFileIndex: 0, textureIndexOnAtlas: textureId }] };
+    }
+    return blockTextureMap;
+}
+
+const blockMap = { 1: 'Stone', 2: 'Iron Chest', 3: 'Bedrock', 4: 'Oak Stairs' };
+const texturePalette = [
+    { textureId: 0, atlasFileIndex: 0, textureIndexOnAtlas: 0, blockIds: [2, 1], hasTransparency: false },
+    { textureId: 1, atlasFileIndex: 0, textureIndexOnAtlas: 1, blockIds: [3], hasTransparency: false },
+    { textureId: 2, atlasFileIndex: 0, textureIndexOnAtlas: 2, blockIds: [4], hasTransparency: false },
+];
+const blockTextureMap = createBlocks({ 1: 0, 2: 0, 3: 1, 4: 2 });
+
+test('a plain block wins over a container with the same texture', () => {
+    const [shared] = rankTextureBlocks(texturePalette, blockTextureMap, blockMap, 'front');
+    assert.deepStrictEqual(shared.blockIds, [1, 2]);
+    assert.strictEqual(shared.block.blockName, 'Stone');
+    assert.strictEqual(shared.block.suitable, true);
+});
+
+test('textures only unsuitable blocks show are marked', () => {
+    const [, bedrock, stairs] = rankTextureBlocks(texturePalette, blockTextureMap, blockMap, 'front');
+    assert.strictEqual(bedrock.block.suitable, false);
+    assert.strictEqual(stairs.block.suitable, false);
+});
+
+test('a preferred block is suitable', () => {
+    const [, bedrock] = rankTextureBlocks(texturePalette, blockTextureMap, blockMap, 'front', { prefer: ['Bedrock'] });
+    assert.strictEqual(bedrock.block.suitable, true);
+});
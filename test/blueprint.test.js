@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AIR_CHAR, PACKED_BASE, UNICODE_PRIVATE_USE_START, packBlueprintString, unpackBlueprintString } = require('../lib/blueprint');
+const { createSimulator } = require('../lib/simulator');
+const { getPlacement } = require('../lib/orientation');
+const { generateDrawScript } = require('../lib/playback_script');
+const { generateWorldCode } = require('../lib/scheduler');
+
+const cell = (index) => String.fromCodePoint(UNICODE_PRIVATE_USE_START + index);
+const rowsOf = (rows) => rows.map(row => row.map(cell).join('')).join('');
+
+// Each case is [name, width, blueprint string].
+const cases = [
+    ['runs that end at the row edges', 6, rowsOf([
+        [1, 1, 1, 1, 1, 1],
+        [2, 3, 3, 3, 3, 3],
+        [4, 4, 4, 5, 5, 5],
+        [0, 0, 6, 6, 6, 0],
+    ])],
+    ['rows repeated right away and further up', 5, rowsOf([
+        [1, 2, 1, 2, 1],
+        [1, 2, 1, 2, 1],
+        [3, 3, 3, 4, 4],
+        [1, 2, 1, 2, 1],
+        [3, 3, 3, 4, 4],
+        [3, 3, 3, 4, 4],
+    ])],
+    ['runs longer than one run token holds', 200, rowsOf([
+        Array(200).fill(1),
+        Array.from({ length: 200 }, (_, x) => (x < 150 ? 2 : 3)),
+    ])],
+    ['a row repeated more rows back than one digit counts', 3, rowsOf([
+        [1, 2, 3],
+        ...Array.from({ length: PACKED_BASE + 2 }, (_, y) => [4, 5, (y % 7) + 6]),
+        [1, 2, 3],
+    ])],
+    [`a palette longer than ${PACKED_BASE} entries`, 20, rowsOf(Array.from({ length: 15 }, (_, y) => Array.from({ length: 20 }, (_, x) => (x * 7 + y * 3) % 200)))],
+];
+
+for (const [name, width, blueprintString] of cases) {
+    test(`packed blueprints round-trip: ${name}`, () => {
+        const packed = packBlueprintString(blueprintString, width);
+        assert.strictEqual(unpackBlueprintString(packed, width), blueprintString);
+        assert.match(packed.data, /^[(-[\]-~!#]*$/);
+    });
+}
+
+test('packing uses runs, row repeats and two-digit indices where they apply', () => {
+    const [, runWidth, runs] = cases[0];
+    assert.ok(packBlueprintString(runs, runWidth).data.includes('!'));
+    const [, repeatWidth, repeats] = cases[1];
+    assert.ok(packBlueprintString(repeats, repeatWidth).data.includes('#'));
+    const [, paletteWidth, manyBlocks] = cases[4];
+    assert.strictEqual(packBlueprintString(manyBlocks, paletteWidth).indexWidth, 2);
+    assert.strictEqual(packBlueprintString(runs, runWidth).indexWidth, 1);
+});
+
+test('a blueprint must fill whole rows', () => {
+    assert.throws(() => packBlueprintString(rowsOf([[1, 2, 3]]), 2), /not a multiple of width 2/);
+});
+
+// The draw script's decoder (in drawPicture, draw_runtime.js) must read what the packer writes.
+test('the draw script decodes packed blueprints like unpackBlueprintString', () => {
+    const names = Array.from({ length: 200 }, (_, index) => (index === 0 ? 'Air' : `Block ${index}`));
+    const blockTable = {
+        namesById: new Map(names.map((name, blockId) => [blockId, name])),
+        blocksByName: new Map(names.map((name, blockId) => [name, { blockId, name }])),
+    };
+    const blocks = names.map((name, blockId) => ({ name, blockId }));
+    for (const [name, width, blueprintString] of cases) {
+        const cells = Array.from(blueprintString);
+        const height = cells.length / width;
+        const placement = getPlacement({ orientation: 'south', width, height });
+        const simulator = createSimulator({ blockTable, log: () => {} });
+        simulator.runWorldCode(generateWorldCode());
+        simulator.runCodeBlock(generateDrawScript({ width, height, blueprintString, blocks, format: 'packed', placement, blocksPerTick: 1000 }));
+        for (let tick = 0; tick < 100 && !simulator.isIdle(); tick++) simulator.tick();
+
+        const built = cells.map((_, i) => {
+            const [x, y, z] = [0, 1, 2].map(axis => placement.origin[axis] + (i % width) * placement.columnStep[axis] + Math.floor(i / width) * placement.rowStep[axis]);
+            const block = simulator.world.get(`${x},${y},${z}`);
+            return block === undefined ? AIR_CHAR : cell(names.indexOf(block));
+        });
+        assert.strictEqual(built.join(''), blueprintString, name);
+    }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getPlacement } = require('../lib/orientation');
+const { orientBlueprint, renderBlueprint, diffBlueprints } = require('../lib/blueprint_tools');
+
+// A 3x2 blueprint as loadBlueprint returns it, built facing `orientation`.
+function createBlueprint(blockIds, { orientation = 'south', mirror = false, rotate = 0, depths = null, fillBehind = false } = {}) {
+    const placement = { orientation, mirror, rotate, ...getPlacement({ orientation, width: 3, height: 2, mirror, rotate }) };
+    const relief = depths ? { maxDepth: 9, fillBehind, depths } : null;
+    return { width: 3, height: 2, blockIds, base: 'test', metadata: { placement, relief } };
+}
+
+test('blueprints are laid out as mirror and rotate build them', () => {
+    const blockIds = [1, 2, 3, 4, 5, 6];
+    assert.deepStrictEqual(orientBlueprint(createBlueprint(blockIds)).blockIds, blockIds);
+    assert.deepStrictEqual(orientBlueprint(createBlueprint(blockIds, { mirror: true })).blockIds, [3, 2, 1, 6, 5, 4]);
+    const turned = orientBlueprint(createBlueprint(blockIds, { orientation: 'east', rotate: 90 }));
+    assert.deepStrictEqual([turned.width, turned.height, turned.blockIds], [2, 3, [4, 1, 5, 2, 6, 3]]);
+    const legacy = orientBlueprint({ width: 3, height: 2, blockIds, metadata: null });
+    assert.deepStrictEqual([legacy.blockIds, legacy.depths], [blockIds, [0, 0, 0, 0, 0, 0]]);
+});
+
+test('a preview shows the blueprint mirrored and rotated as built', async () => {
+    // Block k is drawn as one pixel of gray k * 10.
+    const blocksById = new Map([1, 2, 3, 4, 5, 6].map(blockId => [blockId, { faceMap: { block_Back_face: 0 }, texturePalette: [{ gray: blockId * 10 }] }]));
+    const textureLoader = { getTextureImage: async ({ gray }) => ({ bitmap: { data: Uint8Array.from([gray, gray, gray, 255]) } }) };
+    const render = async (blueprint) => {
+        const image = await renderBlueprint(blueprint, { blockTable: { blocksById }, textureLoader, textureSize: 1, face: 'back' });
+        const grays = [];
+        for (let pixel = 0; pixel < image.bitmap.width * image.bitmap.height; pixel++) grays.push(image.bitmap.data[pixel * 4] / 10);
+        return [image.bitmap.width, image.bitmap.height, grays];
+    };
+    assert.deepStrictEqual(await render(createBlueprint([1, 2, 3, 4, 5, 6], { mirror: true })), [3, 2, [3, 2, 1, 6, 5, 4]]);
+    assert.deepStrictEqual(await render(createBlueprint([1, 2, 3, 4, 5, 6], { rotate: 90 })), [2, 3, [4, 1, 5, 2, 6, 3]]);
+});
+
+test('cells whose block stays but whose relief depth changes count as moved', () => {
+    const blockIds = [1, 1, 2, 0, 2, 2];
+    const flat = createBlueprint(blockIds, { depths: ['000', '000'] });
+    const raised = createBlueprint(blockIds, { depths: ['010', '203'] });
+    const diff = diffBlueprints(flat, raised);
+    // The air cell's depth does not matter.
+    assert.strictEqual(diff.moved, 2);
+    assert.strictEqual(diff.changed, 2);
+    assert.deepStrictEqual(Array.from(diff.changedCells), [0, 1, 0, 0, 0, 1]);
+    assert.deepStrictEqual(diff.substitutions, []);
+
+    const filled = createBlueprint(blockIds, { depths: ['010', '203'], fillBehind: true });
+    assert.strictEqual(diffBlueprints(raised, filled).moved, 2);
+    assert.strictEqual(diffBlueprints(createBlueprint(blockIds), flat).changed, 0);
+});
+
+test('mirrored blueprints are compared as built', () => {
+    const diff = diffBlueprints(createBlueprint([1, 2, 3, 4, 5, 6], { mirror: true }), createBlueprint([3, 2, 1, 6, 5, 4]));
+    assert.strictEqual(diff.changed, 0);
+    const turned = diffBlueprints(createBlueprint([1, 2, 3, 4, 5, 6]), createBlueprint([1, 2, 3, 4, 5, 6], { rotate: 90 }));
+    assert.deepStrictEqual([turned.width, turned.height], [3, 3]);
+});
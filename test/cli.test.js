@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../cli');
+
+test('a boolean takes true or false as the next word', () => {
+    assert.deepStrictEqual(parseArgs(['simulate', 'a.js', '--render', 'false']), { command: 'simulate', inputs: ['a.js'], overrides: { render: false }, help: false });
+    assert.deepStrictEqual(parseArgs(['simulate', '--render', 'true', 'a.js']).overrides, { render: true });
+    assert.deepStrictEqual(parseArgs(['convert', '--mirror', 'cat.png']), { command: 'convert', inputs: ['cat.png'], overrides: { mirror: true }, help: false });
+});
+
+test('a boolean also takes --flag=value and --no-flag', () => {
+    assert.deepStrictEqual(parseArgs(['simulate', 'a.js', '--render=false']).overrides, { render: false });
+    assert.deepStrictEqual(parseArgs(['simulate', 'a.js', '--no-render']).overrides, { render: false });
+    assert.throws(() => parseArgs(['simulate', 'a.js', '--no-render', 'false']), /--no-render takes no value; use --render false/);
+    assert.throws(() => parseArgs(['simulate', 'a.js', '--render=no']), /--render expects true or false/);
+});
+
+test('other options take the next word', () => {
+    assert.deepStrictEqual(parseArgs(['convert', 'cat.png', '--output-width', '64', '--depth-source', 'luminance']).overrides, { outputWidth: 64, depthSource: 'luminance' });
+    assert.throws(() => parseArgs(['convert', 'cat.png', '--output-width']), /--output-width needs a value/);
+});
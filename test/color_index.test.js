@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { COLOR_METRICS, colorDistance, toMatchColor } = require('../lib/color');
+const { buildColorIndex } = require('../lib/color_index');
+
+// A fixed pseudo-random sequence, so a failure can be reproduced.
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function randomColors(count, random) {
+    return Array.from({ length: count }, () => toMatchColor({ r: Math.floor(random() * 256), g: Math.floor(random() * 256), b: Math.floor(random() * 256) }));
+}
+
+// What convert does: the first candidate at the least distance.
+function linearScan(color, candidates, metric) {
+    let bestMatch = null;
+    let minDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = colorDistance(color, candidate.perceivedColor, metric);
+        if (distance < minDistance) {
+            minDistance = distance;
+            bestMatch = candidate;
+        }
+    }
+    return bestMatch;
+}
+
+for (const metric of COLOR_METRICS) {
+    test(`the ${metric} index finds what a linear scan finds`, () => {
+        const random = createRandom(COLOR_METRICS.indexOf(metric) + 1);
+        const candidates = randomColors(300, random).map((perceivedColor, id) => ({ id, perceivedColor }));
+        const index = buildColorIndex(candidates, metric);
+        for (const color of randomColors(3000, random)) {
+            const expected = linearScan(color, candidates, metric);
+            const found = index.nearest(color);
+            assert.strictEqual(found.candidate.id, expected.id, `${metric} for rgb(${color.r}, ${color.g}, ${color.b})`);
+            assert.strictEqual(found.distance, colorDistance(color, expected.perceivedColor, metric));
+        }
+    });
+}
+
+test('the index breaks ties like a linear scan, by candidate order', () => {
+    const color = toMatchColor({ r: 10, g: 20, b: 30 });
+    const candidates = [0, 1, 2].map(id => ({ id, perceivedColor: toMatchColor({ r: 90, g: 20, b: 30 }) }));
+    for (const metric of COLOR_METRICS) {
+        assert.strictEqual(buildColorIndex(candidates, metric).nearest(color).candidate.id, 0, metric);
+    }
+});
+
+test('an empty index finds nothing', () => {
+    assert.strictEqual(buildColorIndex([], 'ciede2000').nearest(toMatchColor({ r: 0, g: 0, b: 0 })), null);
+});
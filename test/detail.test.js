@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readPatch, preparePatch, rankDetailMatches, findBestDetailMatch, validateMatchMode } = require('../lib/detail');
+
+const SIZE = 8;
+
+// An RGBA bitmap of SIZE x SIZE whose pixels come from pixel(x, y) as [r, g, b, a].
+function createBitmap(pixel) {
+    const data = Buffer.alloc(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) data.set(pixel(x, y), (y * SIZE + x) * 4);
+    }
+    return { width: SIZE, height: SIZE, data };
+}
+
+const blackOrWhite = (white) => (white ? [255, 255, 255, 255] : [0, 0, 0, 255]);
+const patterns = {
+    checkerboard: createBitmap((x, y) => blackOrWhite((x + y) % 2 === 0)),
+    stripes: createBitmap((x, y) => blackOrWhite(y < SIZE / 2)),
+    columns: createBitmap((x) => blackOrWhite(x < SIZE / 2)),
+};
+
+// Candidates as candidates.js builds them: the texture's mean color plus its patch.
+function createCandidates() {
+    return Object.entries(patterns).map(([name, bitmap]) => {
+        const detail = preparePatch(readPatch(bitmap, 0, 0, SIZE));
+        return { name, perceivedColor: detail.mean, detail };
+    });
+}
+
+test('unknown match modes are rejected', () => {
+    assert.throws(() => validateMatchMode('texture'), /Unknown match mode "texture"/);
+});
+
+test('textures with the same mean color are told apart by their structure', () => {
+    const candidates = createCandidates();
+    for (const name of Object.keys(patterns)) {
+        const patch = preparePatch(readPatch(patterns[name], 0, 0, SIZE));
+        assert.strictEqual(findBestDetailMatch(patch, candidates, 'ciede2000', 0.5).candidate.name, name);
+    }
+});
+
+test('without detail weight every texture of the same mean color scores the same', () => {
+    const patch = preparePatch(readPatch(patterns.stripes, 0, 0, SIZE));
+    const scores = rankDetailMatches(patch, createCandidates(), 'rgb', 0).map(({ score }) => score);
+    assert.ok(scores.every(score => Math.abs(score - scores[0]) < 1e-9));
+});
+
+test('transparent pixels are left out of a patch', () => {
+    const halfClear = createBitmap((x, y) => (x < SIZE / 2 ? [255, 0, 0, 255] : [0, 0, 255, 0]));
+    const raw = readPatch(halfClear, 0, 0, SIZE);
+    assert.strictEqual(raw.opaqueCount, SIZE * SIZE / 2);
+    assert.deepStrictEqual(raw.meanRgb, { r: 255, g: 0, b: 0 });
+
+    const clear = readPatch(createBitmap(() => [0, 0, 0, 0]), 0, 0, SIZE);
+    assert.strictEqual(findBestDetailMatch(preparePatch(clear), createCandidates(), 'rgb', 0.5), null);
+});
+
+test('a dither offset shifts the whole patch', () => {
+    const gray = readPatch(createBitmap(() => [100, 100, 100, 255]), 0, 0, SIZE);
+    const shifted = preparePatch(gray, { r: 20, g: -20, b: 300 });
+    assert.deepStrictEqual({ r: shifted.mean.r, g: shifted.mean.g, b: shifted.mean.b }, { r: 120, g: 80, b: 255 });
+    assert.deepStrictEqual(preparePatch(readPatch(createBitmap(() => [120, 80, 255, 255]), 0, 0, SIZE)).lab, shifted.lab);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DITHER_MODES, createBayerMatrix, createBlueNoiseMatrix, createDitherer, isErrorDiffusionMode, validateDitherMode } = require('../lib/dither');
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Dithers a flat gray with only black and white to choose from; returns the share of white.
+function ditherGray(mode, gray, size = 32) {
+    const ditherer = createDitherer(mode, 1, size, size);
+    let white = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const adjusted = ditherer.adjust(x, y, { r: gray, g: gray, b: gray });
+            const chosen = adjusted.r >= 128 ? WHITE : BLACK;
+            ditherer.commit(x, y, adjusted, chosen);
+            if (chosen === WHITE) white++;
+        }
+    }
+    return white / (size * size);
+}
+
+function isPermutation(matrix) {
+    const values = matrix.flat().sort((a, b) => a - b);
+    return values.every((value, index) => value === index);
+}
+
+test('unknown dither modes are rejected', () => {
+    assert.throws(() => validateDitherMode('halftone'), /Unknown dither mode "halftone"/);
+});
+
+test('the Bayer and blue-noise matrices rank every cell once', () => {
+    assert.deepStrictEqual(createBayerMatrix(2), [[0, 2], [3, 1]]);
+    assert.ok(isPermutation(createBayerMatrix(8)));
+    const blueNoise = createBlueNoiseMatrix(16);
+    assert.ok(isPermutation(blueNoise));
+    assert.deepStrictEqual(createBlueNoiseMatrix(16), blueNoise);
+});
+
+test('"none" and zero strength leave colors alone', () => {
+    const color = { r: 100, g: 150, b: 200 };
+    assert.deepStrictEqual(createDitherer('none', 1, 4, 4).adjust(1, 1, color), color);
+    assert.deepStrictEqual(createDitherer('floyd-steinberg', 0, 4, 4).adjust(1, 1, color), color);
+});
+
+test('error diffusion keeps the mean brightness of a flat gray', () => {
+    for (const mode of DITHER_MODES.filter(isErrorDiffusionMode)) {
+        // Atkinson drops a quarter of the error, so it strays further.
+        const tolerance = mode === 'atkinson' ? 0.1 : 0.05;
+        for (const gray of [64, 128, 191]) {
+            const share = ditherGray(mode, gray);
+            assert.ok(Math.abs(share - gray / 255) <= tolerance, `${mode} turned gray ${gray} into ${(share * 100).toFixed(1)}% white`);
+        }
+    }
+    assert.strictEqual(ditherGray('none', 100), 0);
+});
+
+// The offsets spread evenly over ORDERED_DITHER_SPREAD (64) around the color.
+test('ordered dithering mixes grays near a threshold in proportion', () => {
+    for (const mode of ['bayer', 'blue-noise']) {
+        for (const gray of [112, 128, 144]) {
+            const share = ditherGray(mode, gray);
+            const expected = 0.5 + (gray - 128) / 64;
+            assert.ok(Math.abs(share - expected) <= 0.05, `${mode} turned gray ${gray} into ${(share * 100).toFixed(1)}% white`);
+        }
+    }
+});
+
+test('error diffusion carries the error to the next pixel', () => {
+    const ditherer = createDitherer('floyd-steinberg', 1, 4, 4);
+    const adjusted = ditherer.adjust(0, 0, { r: 100, g: 100, b: 100 });
+    ditherer.commit(0, 0, adjusted, BLACK);
+    // 7/16 of the 100 left over goes to the right.
+    assert.deepStrictEqual(ditherer.adjust(1, 0, { r: 100, g: 100, b: 100 }), { r: 144, g: 144, b: 144 });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { GifWriter } = require('omggif');
+const { openGif, openFrameSource } = require('../lib/frame_source');
+
+async function writeGif(delaysCs) {
+    const buffer = Buffer.alloc(1024);
+    const writer = new GifWriter(buffer, 2, 2, { palette: [0x000000, 0xFFFFFF], loop: 0 });
+    delaysCs.forEach((delay, index) => writer.addFrame(0, 0, 2, 2, [index % 2, 0, 0, 1], { delay }));
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'bloxd-movie-')), 'delays.gif');
+    await fs.writeFile(file, buffer.subarray(0, writer.end()));
+    return file;
+}
+
+// An animated WebP of three flat frames, with every frame duration zeroed.
+async function writeWebpWithoutDelays() {
+    const pages = await Promise.all([0, 128, 255].map(gray => sharp({ create: { width: 2, height: 2, channels: 4, background: { r: gray, g: gray, b: gray, alpha: 1 } } }).png().toBuffer()));
+    const buffer = await sharp(pages, { join: { animated: true } }).webp().toBuffer();
+    // The 24-bit duration sits 12 bytes into each ANMF chunk's payload.
+    for (let offset = 12; offset < buffer.length;) {
+        const size = buffer.readUInt32LE(offset + 4);
+        if (buffer.toString('latin1', offset, offset + 4) === 'ANMF') buffer.writeUIntLE(0, offset + 20, 3);
+        offset += 8 + size + (size % 2);
+    }
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'bloxd-movie-')), 'no-delays.webp');
+    await fs.writeFile(file, buffer);
+    return file;
+}
+
+test('GIF delays under 20 ms play as 100 ms, as in browsers', async () => {
+    const file = await writeGif([0, 1, 2, 5]);
+    try {
+        const source = await openGif(file);
+        assert.deepStrictEqual(source.frameDelaysMs, [100, 100, 20, 50]);
+        const delays = [];
+        for (const frame of source.frames()) delays.push(frame.delayMs);
+        assert.deepStrictEqual(delays, [100, 100, 20, 50]);
+    } finally {
+        await fs.rm(path.dirname(file), { recursive: true });
+    }
+});
+
+test('WebP frames without a delay play as 100 ms', async () => {
+    const file = await writeWebpWithoutDelays();
+    try {
+        const source = await openFrameSource(file);
+        assert.strictEqual(source.kind, 'WEBP');
+        assert.deepStrictEqual(source.frameDelaysMs, [100, 100, 100]);
+        const delays = [];
+        for await (const frame of source.frames()) delays.push(frame.delayMs);
+        assert.deepStrictEqual(delays, [100, 100, 100]);
+    } finally {
+        await fs.rm(path.dirname(file), { recursive: true });
+    }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { toMatchColor } = require('../lib/color');
+const { createPaletteHistograms, addBitmapToPaletteHistograms, splitPaletteSize, reduceSplitPalette } = require('../lib/palette_reduction');
+const { convertImage } = require('../lib/image_converter');
+
+function createCandidates(firstId, colors) {
+    return colors.map(([r, g, b], index) => ({ textureInfo: { textureId: firstId + index }, perceivedColor: toMatchColor({ r, g, b }) }));
+}
+
+// RGBA pixels of the given colors, `count` of each.
+function pixels(colors, alpha, count = 10) {
+    return Buffer.from(colors.flatMap(([r, g, b]) => Array(count).fill([r, g, b, alpha]).flat()));
+}
+
+const grays = Array.from({ length: 8 }, (_, index) => [index * 32, index * 32, index * 32]);
+const tints = Array.from({ length: 8 }, (_, index) => [index * 32, 0, 255 - index * 32]);
+
+test('palette slots are shared by weight, one for every kind present first', () => {
+    assert.deepStrictEqual(splitPaletteSize(10, [300, 100]), [7, 3]);
+    assert.deepStrictEqual(splitPaletteSize(4, [1000, 1]), [3, 1]);
+    assert.deepStrictEqual(splitPaletteSize(1, [1, 1000]), [1, 0]);
+    assert.deepStrictEqual(splitPaletteSize(5, [100, 0]), [5, 0]);
+    assert.deepStrictEqual(splitPaletteSize(3, [0, 0]), [0, 0]);
+});
+
+test('translucent picks count towards the palette size', () => {
+    const histograms = createPaletteHistograms();
+    addBitmapToPaletteHistograms(histograms, pixels(grays, 255), 32, 200);
+    addBitmapToPaletteHistograms(histograms, pixels(tints, 100), 32, 200);
+    addBitmapToPaletteHistograms(histograms, pixels(tints, 0), 32, 200);
+
+    const reduction = reduceSplitPalette(histograms, createCandidates(0, grays), createCandidates(100, tints), 6, 'rgb');
+    assert.strictEqual(reduction.candidates.length, 3);
+    assert.strictEqual(reduction.translucentCandidates.length, 3);
+    assert.ok(reduction.translucentCandidates.every(candidate => candidate.textureInfo.textureId >= 100));
+
+    const single = reduceSplitPalette(histograms, createCandidates(0, grays), createCandidates(100, tints), 1, 'rgb');
+    assert.strictEqual(single.candidates.length, 1);
+    assert.deepStrictEqual(single.translucentCandidates, []);
+});
+
+test('a limited palette holds for opaque, translucent and air pixels together', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bloxd-movie-palette-'));
+    try {
+        // Three bands of color ramps: opaque, translucent and clear.
+        const width = 24, height = 12;
+        const image = new Jimp({ width, height });
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                image.bitmap.data.set([x * 10, y * 20, 255 - x * 10, y < 6 ? 255 : (y < 10 ? 120 : 0)], offset);
+            }
+        }
+        const inputFile = path.join(dir, 'bands.png');
+        await image.write(inputFile);
+
+        const paletteSize = 5;
+        const { choicesGrid, outputs } = await convertImage(inputFile, { outputWidth: width, alphaThreshold: 64, translucentBelow: 200, paletteSize, outputBase: path.join(dir, 'bands') });
+        const used = new Set(choicesGrid.flat().filter(textureId => textureId !== null));
+        assert.ok(used.size <= paletteSize, `${used.size} textures used`);
+        assert.ok(choicesGrid[8].every(textureId => textureId !== null));
+        assert.ok(choicesGrid[11].every(textureId => textureId === null));
+        const blueprint = JSON.parse(fs.readFileSync(outputs.blueprint, 'utf-8'));
+        assert.ok(blueprint.palette.length - 1 <= paletteSize, `${blueprint.palette.length - 1} blocks in the blueprint`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSceneTracker } = require('../lib/scene_cuts');
+
+const CELLS = 100;
+const options = { textureSwitchThreshold: 3, adaptiveSwitchThreshold: true, sceneCutThreshold: 0.5, colorMetric: 'ciede2000' };
+
+// A matched frame of CELLS blocks whose colors come from color(cell) as [r, g, b].
+function createFrame(color) {
+    const pixels = new Uint8Array(CELLS * 3);
+    for (let cell = 0; cell < CELLS; cell++) pixels.set(color(cell), cell * 3);
+    return { bestIds: new Int32Array(CELLS), pixels };
+}
+
+test('a noisy frame without a cut keeps part of its hysteresis', () => {
+    const tracker = createSceneTracker(options);
+    tracker.update(createFrame(() => [128, 128, 128]));
+    // Every block moves by more than the switch threshold, as in grainy footage.
+    const noisy = tracker.update(createFrame(cell => (cell % 2 === 0 ? [138, 138, 138] : [118, 118, 118])));
+    assert.ok(noisy.meanChange >= options.textureSwitchThreshold, `mean change ${noisy.meanChange}`);
+    assert.strictEqual(noisy.cut, false);
+    assert.strictEqual(noisy.switchThreshold, options.textureSwitchThreshold * 0.5);
+});
+
+test('a slight change lowers the switch threshold in step', () => {
+    const tracker = createSceneTracker(options);
+    tracker.update(createFrame(() => [128, 128, 128]));
+    const slight = tracker.update(createFrame(() => [129, 129, 129]));
+    assert.ok(slight.meanChange > 0);
+    assert.ok(Math.abs(slight.switchThreshold - (options.textureSwitchThreshold - slight.meanChange)) < 1e-9);
+    assert.strictEqual(tracker.update(createFrame(() => [129, 129, 129])).switchThreshold, options.textureSwitchThreshold);
+});
+
+test('a scene cut is reported when most blocks jump', () => {
+    const tracker = createSceneTracker(options);
+    tracker.update(createFrame(() => [20, 20, 20]));
+    const cut = tracker.update(createFrame(cell => (cell < 60 ? [240, 240, 240] : [20, 20, 20])));
+    assert.strictEqual(cut.cut, true);
+    assert.strictEqual(cut.changedFraction, 0.6);
+
+    const air = tracker.update({ bestIds: new Int32Array(CELLS).fill(-1), pixels: new Uint8Array(CELLS * 3) });
+    assert.strictEqual(air.cut, true);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, generateWorldCode } = require('../lib/scheduler');
+const { createSimulator } = require('../lib/simulator');
+
+// Ticks the scheduler `count` times, recording what each tick threw.
+function runTicks(tick, count, record) {
+    for (let i = 0; i < count; i++) {
+        try {
+            tick();
+        } catch (error) {
+            record(`tick ${i} threw ${error.message}`);
+        }
+    }
+}
+
+test('tasks run in the order they are due, then the order they were scheduled', () => {
+    const S = createScheduler();
+    const ran = [];
+    S.run(() => ran.push('b'), 1);
+    S.run(() => ran.push('a'));
+    S.run(() => {
+        ran.push('c');
+        S.run(() => ran.push('d'));
+        S.run(() => ran.push('f'), 1);
+    });
+    S.run(() => ran.push('e'), 1);
+
+    S.tick();
+    assert.deepStrictEqual(ran, ['a', 'c', 'd']);
+    S.tick();
+    assert.deepStrictEqual(ran, ['a', 'c', 'd', 'b', 'e', 'f']);
+});
+
+test('a delay of 0 from outside a task runs on the next tick', () => {
+    const S = createScheduler();
+    const ran = [];
+    S.tick();
+    S.run(() => ran.push('now'), 0);
+    S.run(() => ran.push('later'), 2);
+    S.tick();
+    assert.deepStrictEqual(ran, ['now']);
+    S.tick();
+    assert.deepStrictEqual(ran, ['now']);
+    S.tick();
+    assert.deepStrictEqual(ran, ['now', 'later']);
+});
+
+test('stop cancels the tasks of a tag scheduled so far, even mid-tick', () => {
+    const S = createScheduler();
+    const ran = [];
+    S.run(() => {
+        ran.push('stopper');
+        S.stop('movie');
+        S.run(() => ran.push('restarted'), 0, 'movie');
+    });
+    S.run(() => ran.push('queued this tick'), 0, 'movie');
+    S.run(() => ran.push('other tag'), 0, 'draw');
+    S.run(() => ran.push('queued next tick'), 1, 'movie');
+
+    S.tick();
+    S.tick();
+    assert.deepStrictEqual(ran, ['stopper', 'other tag', 'restarted']);
+});
+
+test('stop ends a repeating task', () => {
+    const S = createScheduler();
+    let runs = 0;
+    const repeat = () => {
+        runs++;
+        S.run(repeat, 1, 'repeat');
+    };
+    S.run(repeat, 0, 'repeat');
+    S.tick();
+    S.tick();
+    S.stop('repeat');
+    S.tick();
+    S.tick();
+    assert.strictEqual(runs, 2);
+    assert.ok(S.isIdle());
+});
+
+test('a failing task is rethrown after the rest of its tick', () => {
+    const S = createScheduler();
+    const ran = [];
+    S.run(() => { throw new Error('first'); });
+    S.run(() => ran.push('after the failure'));
+    S.run(() => { throw new Error('second'); });
+    S.run(() => ran.push('next tick'), 1);
+
+    assert.throws(() => S.tick(), { message: 'first' });
+    assert.deepStrictEqual(ran, ['after the failure']);
+    S.tick();
+    assert.deepStrictEqual(ran, ['after the failure', 'next tick']);
+});
+
+test('isIdle is true only when nothing is left to run', () => {
+    const S = createScheduler();
+    assert.ok(S.isIdle());
+    S.run(() => {}, 2);
+    assert.ok(!S.isIdle());
+    S.tick();
+    assert.ok(!S.isIdle());
+    S.tick();
+    S.tick();
+    assert.ok(S.isIdle());
+
+    S.run(() => {}, 3, 'stopped');
+    S.stop('stopped');
+    assert.ok(S.isIdle());
+    S.run(() => {}, 1, 'stopped');
+    assert.ok(!S.isIdle());
+});
+
+// Uses only S and record, so it runs the same against the module and in a code block.
+const scenario = (S, record) => {
+    const repeat = (n) => {
+        record('repeat ' + n);
+        S.run(() => repeat(n + 1), 1, 'repeat');
+    };
+    S.run(() => repeat(0), 0, 'repeat');
+    S.run(() => {
+        record('first');
+        S.run(() => record('same tick'));
+    });
+    S.run(() => { throw new Error('failed'); }, 1);
+    S.run(() => record('after the failure'), 1);
+    S.run(() => {
+        record('stopping');
+        S.stop('repeat');
+    }, 3);
+    S.run(() => record('last'), 4, 'other');
+};
+
+test('the world code scheduler behaves like the module', () => {
+    const expected = [];
+    const S = createScheduler();
+    scenario(S, (message) => expected.push(message));
+    runTicks(() => S.tick(), 6, (message) => expected.push(message));
+
+    const actual = [];
+    const simulator = createSimulator({ blockTable: { blocksByName: new Map() }, log: () => {} });
+    simulator.runWorldCode(generateWorldCode());
+    simulator.runCodeBlock(`(${scenario})(S, (message) => api.broadcastMessage(message));`);
+    runTicks(() => simulator.tick(), 6, (message) => simulator.messages.push(message));
+    actual.push(...simulator.messages);
+
+    assert.deepStrictEqual(actual, expected);
+    assert.ok(expected.includes('tick 1 threw failed'));
+    assert.ok(S.isIdle());
+    assert.ok(simulator.isIdle());
+});
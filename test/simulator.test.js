@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../lib/simulator');
+const { createBlockPalette, encodeBlueprintString } = require('../lib/blueprint');
+const { createDeltaEncoder } = require('../lib/delta');
+const { getPlacement } = require('../lib/orientation');
+const { DEFAULT_DRAW_TAG, generateDrawScript, generateMovieScript } = require('../lib/playback_script');
+const { generateWorldCode } = require('../lib/scheduler');
+
+const blockMap = { 1: 'Stone', 2: 'Dirt', 3: 'Glass' };
+// Texture k is shown by block k + 1; null cells are air.
+const texturePalette = [{ blockIds: [1] }, { blockIds: [2] }, { blockIds: [3] }];
+const blockTable = {
+    namesById: new Map([[0, 'Air'], ...Object.entries(blockMap).map(([blockId, name]) => [Number(blockId), name])]),
+    blocksByName: new Map(Object.entries(blockMap).map(([blockId, name]) => [name, { blockId: Number(blockId), name }])),
+};
+const thisPos = [10, 20, 30];
+
+function createGrid(width, height, cellAt) {
+    return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => cellAt(x, y)));
+}
+
+function tickUntilIdle(simulator, maxTicks = 1000) {
+    while (simulator.getStats().ticks < maxTicks) {
+        simulator.tick();
+        if (simulator.isIdle()) break;
+    }
+}
+
+// Runs the world code, then the scripts as code blocks, until the scheduler is idle.
+function runScripts(scripts, maxTicks = 1000) {
+    const simulator = createSimulator({ blockTable, thisPos, log: () => {} });
+    simulator.runWorldCode(generateWorldCode());
+    for (const script of scripts) simulator.runCodeBlock(script);
+    tickUntilIdle(simulator, maxTicks);
+    return simulator;
+}
+
+// The world a grid of texture IDs should leave, from the blueprint placement; a cell at
+// depth d stands d blocks out, with the blocks behind it filled when fillBehind is set.
+function expectedWorld(choicesGrid, placement, depthGrid = null, fillBehind = false) {
+    const world = new Map();
+    choicesGrid.forEach((row, y) => row.forEach((textureId, x) => {
+        if (textureId === null) return;
+        const depth = depthGrid ? depthGrid[y][x] : 0;
+        for (let layer = fillBehind ? 0 : depth; layer <= depth; layer++) {
+            const position = [0, 1, 2].map(axis => thisPos[axis] + placement.origin[axis]
+                + x * placement.columnStep[axis] + y * placement.rowStep[axis] + layer * placement.depthStep[axis]);
+            world.set(position.join(','), blockMap[texturePalette[textureId].blockIds[0]]);
+        }
+    }));
+    return world;
+}
+
+function drawGrid(choicesGrid, options) {
+    const height = choicesGrid.length;
+    const width = choicesGrid[0].length;
+    const blockPalette = createBlockPalette(blockMap);
+    const blueprintString = encodeBlueprintString(choicesGrid, texturePalette, blockPalette);
+    return generateDrawScript({ width, height, blueprintString, blocks: blockPalette.entries(), ...options });
+}
+
+const picture = createGrid(13, 9, (x, y) => ((x * 7 + y * 3) % 11 === 0 ? null : (x < 6 ? (x + y) % 3 : 1)));
+
+for (const format of ['raw', 'packed']) {
+    test(`a ${format} draw script places the blueprint within its budget`, () => {
+        const placement = getPlacement({ orientation: 'east', width: 13, height: 9 });
+        const simulator = runScripts([drawGrid(picture, { format, blocksPerTick: 16, placement })]);
+        const stats = simulator.getStats();
+
+        assert.ok(simulator.isIdle());
+        assert.deepStrictEqual(simulator.world, expectedWorld(picture, placement));
+        assert.ok(stats.maxBlocksPerTick <= 16, `placed ${stats.maxBlocksPerTick} blocks in one tick`);
+        assert.deepStrictEqual(stats.unknownBlocks, {});
+    });
+}
+
+test('a relief draw script places every layer', () => {
+    const placement = getPlacement({ orientation: 'south', width: 13, height: 9 });
+    const depthGrid = createGrid(13, 9, (x, y) => (picture[y][x] === null ? 0 : (x + 2 * y) % 4));
+    const depths = depthGrid.flat().map(depth => depth.toString(36)).join('');
+    for (const fillBehind of [false, true]) {
+        const simulator = runScripts([drawGrid(picture, { blocksPerTick: 25, placement, depths, fillBehind })]);
+        assert.deepStrictEqual(simulator.world, expectedWorld(picture, placement, depthGrid, fillBehind));
+        assert.ok(simulator.getStats().maxBlocksPerTick <= 25);
+    }
+});
+
+test('a draw script run on other world code names the world code it needs', () => {
+    const placement = getPlacement({ orientation: 'south', width: 13, height: 9 });
+    const simulator = createSimulator({ blockTable, thisPos, log: () => {} });
+    simulator.runWorldCode('const S = { run() {}, stop() {} };');
+    simulator.runCodeBlock(drawGrid(picture, { placement, worldCodeFile: 'picture_world.js' }));
+    assert.deepStrictEqual(simulator.messages, ['This draw script needs picture_world.js as the world code: it has no drawPicture.']);
+    assert.strictEqual(simulator.world.size, 0);
+});
+
+// The draw script as it is when ACTION is edited before running it again.
+const withAction = (script, action) => script.replace('const ACTION = "draw";', `const ACTION = ${JSON.stringify(action)};`);
+
+// A simulator whose world has Glass wherever the picture goes, air cells included.
+function createFilledSimulator(placement) {
+    const simulator = createSimulator({ blockTable, thisPos, log: () => {} });
+    simulator.runWorldCode(generateWorldCode());
+    for (const [key, block] of expectedWorld(createGrid(13, 9, () => 2), placement)) simulator.world.set(key, block);
+    return simulator;
+}
+
+test('a stopped draw resumes from the cell it got to', () => {
+    const placement = getPlacement({ orientation: 'east', width: 13, height: 9 });
+    const script = drawGrid(picture, { blocksPerTick: 16, placement });
+    const simulator = createSimulator({ blockTable, thisPos, log: () => {} });
+    simulator.runWorldCode(generateWorldCode());
+    simulator.runCodeBlock(script);
+    for (let tick = 0; tick < 3; tick++) simulator.tick();
+    simulator.runWorldCode(`S.stop(${JSON.stringify(DEFAULT_DRAW_TAG)});`);
+    for (let tick = 0; tick < 3; tick++) simulator.tick();
+    const expected = expectedWorld(picture, placement);
+    const stopped = simulator.world.size;
+    assert.ok(stopped > 0 && stopped < expected.size, `${stopped} of ${expected.size} blocks drawn`);
+
+    simulator.runCodeBlock(withAction(script, 'resume'));
+    tickUntilIdle(simulator);
+    assert.deepStrictEqual(simulator.world, expected);
+    // Every block was placed once: the resumed draw did not start over.
+    assert.strictEqual(simulator.getStats().placed, expected.size);
+    simulator.runCodeBlock(withAction(script, 'resume'));
+    simulator.tick();
+    assert.deepStrictEqual(simulator.messages, [`Nothing to resume for ${DEFAULT_DRAW_TAG}.`]);
+});
+
+test('undo puts back the blocks a draw replaced', () => {
+    const placement = getPlacement({ orientation: 'south', width: 13, height: 9 });
+    const script = drawGrid(picture, { blocksPerTick: 20, placement });
+    const simulator = createFilledSimulator(placement);
+    const before = new Map(simulator.world);
+
+    simulator.runCodeBlock(script);
+    tickUntilIdle(simulator);
+    assert.deepStrictEqual(simulator.world, new Map([...before, ...expectedWorld(picture, placement)]));
+
+    simulator.runCodeBlock(withAction(script, 'undo'));
+    tickUntilIdle(simulator);
+    assert.deepStrictEqual(simulator.world, before);
+});
+
+test('clear empties the drawing and undo brings it back', () => {
+    const placement = getPlacement({ orientation: 'west', width: 13, height: 9 });
+    const script = drawGrid(picture, { blocksPerTick: 20, placement });
+    const simulator = createFilledSimulator(placement);
+    simulator.runCodeBlock(script);
+    tickUntilIdle(simulator);
+    const drawn = new Map(simulator.world);
+
+    // Another code block can clear the drawing through the global drawings.
+    simulator.runCodeBlock(`drawings[${JSON.stringify(DEFAULT_DRAW_TAG)}].run("clear");`);
+    tickUntilIdle(simulator);
+    assert.strictEqual(simulator.world.size, 0);
+
+    simulator.runCodeBlock(withAction(script, 'undo'));
+    tickUntilIdle(simulator);
+    assert.deepStrictEqual(simulator.world, drawn);
+});
+
+test('a movie script ends on its last frame within its budget', () => {
+    const width = 8;
+    const height = 6;
+    const frames = [0, 1, 2].map(frame => createGrid(width, height, (x, y) => ((x + frame) % 4 === 0 ? null : (x + y + frame) % 3)));
+    const encoder = createDeltaEncoder({ width, height, texturePalette, blockPalette: createBlockPalette(blockMap) });
+    for (const frame of frames) encoder.addFrame(frame);
+    const { frameSpans, frameBlocks, blocks } = encoder.finish(false);
+    const placement = getPlacement({ orientation: 'north', width, height });
+    const script = generateMovieScript({ width, height, frameSpans, frameBlocks, frameTicks: [3, 3, 3], blocks, loop: false, blocksPerTick: 10, placement });
+
+    const simulator = runScripts([script]);
+    const stats = simulator.getStats();
+    assert.ok(simulator.isIdle());
+    assert.deepStrictEqual(simulator.world, expectedWorld(frames[2], placement));
+    assert.ok(stats.maxBlocksPerTick <= 10, `placed ${stats.maxBlocksPerTick} blocks in one tick`);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulator } = require('../lib/simulator');
+const { createBlockPalette, encodeBlueprintString } = require('../lib/blueprint');
+const { getPlacement } = require('../lib/orientation');
+const { generateDrawScript } = require('../lib/playback_script');
+const { generateWorldCode } = require('../lib/scheduler');
+const { splitDrawScript } = require('../lib/tiles');
+
+const blockMap = { 1: 'Stone', 2: 'Dirt', 3: 'Glass', 4: 'Sand' };
+const texturePalette = [{ blockIds: [1] }, { blockIds: [2] }, { blockIds: [3] }, { blockIds: [4] }];
+const blockTable = {
+    namesById: new Map([[0, 'Air'], ...Object.entries(blockMap).map(([blockId, name]) => [Number(blockId), name])]),
+    blocksByName: new Map(Object.entries(blockMap).map(([blockId, name]) => [name, { blockId: Number(blockId), name }])),
+};
+
+// A noisy picture, so that it doesn't pack into a few bytes.
+let seed = 7;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const width = 40;
+const height = 30;
+const choicesGrid = Array.from({ length: height }, () => Array.from({ length: width }, () => (random() < 0.1 ? null : Math.floor(random() * 4))));
+const placement = getPlacement({ orientation: 'west', width, height });
+
+function buildWorld(scripts) {
+    const simulator = createSimulator({ blockTable, thisPos: [3, 4, 5], log: () => {} });
+    simulator.runWorldCode(generateWorldCode());
+    for (const script of scripts) simulator.runCodeBlock(script);
+    for (let tick = 0; tick < 1000 && !simulator.isIdle(); tick++) simulator.tick();
+    return simulator.world;
+}
+
+for (const shape of ['rows', 'rectangles']) {
+    test(`${shape} tiles fit maxScriptBytes and build the whole picture`, () => {
+        const blockPalette = createBlockPalette(blockMap);
+        const blueprintString = encodeBlueprintString(choicesGrid, texturePalette, blockPalette);
+        const whole = generateDrawScript({ width, height, blueprintString, blocks: blockPalette.entries(), placement });
+
+        const maxBytes = 1500;
+        const tiles = splitDrawScript(choicesGrid, texturePalette, blockMap, placement, maxBytes, shape, {});
+        assert.ok(tiles.length > 1);
+        for (const tile of tiles) assert.ok(Buffer.byteLength(tile.script, 'utf-8') <= maxBytes);
+        assert.deepStrictEqual(buildWorld(tiles.map(tile => tile.script)), buildWorld([whole]));
+    });
+}
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTimeline } = require('../lib/timing');
+
+test('a second of 60 fps frames lasts a second', () => {
+    const timeline = buildTimeline(Array(60).fill(1000 / 60));
+    assert.ok(Math.abs(timeline.durationMs - 1000) < 1e-6);
+    assert.strictEqual(timeline.totalTicks, 20);
+    assert.strictEqual(timeline.sourceFrameCount, 60);
+    // Three frames per tick: only one of them gets a tick of its own.
+    assert.strictEqual(timeline.frames.length, 20);
+    assert.ok(timeline.frames.every(frame => frame.ticks === 1));
+});
+
+test('frame boundaries are rounded from the running total', () => {
+    const timeline = buildTimeline([70, 70, 70, 70]);
+    assert.deepStrictEqual(timeline.frames.map(frame => frame.ticks), [1, 2, 1, 2]);
+    assert.strictEqual(timeline.totalTicks, 6);
+});
+
+test('speed and the frame range apply before rounding', () => {
+    const timeline = buildTimeline([100, 100, 100, 100], { startFrame: 1, endFrame: 2, speed: 2 });
+    assert.deepStrictEqual(timeline.frames, [{ sourceIndex: 1, ticks: 1 }, { sourceIndex: 2, ticks: 1 }]);
+});
+
+test('framesPerSecond samples the source at that rate', () => {
+    const timeline = buildTimeline(Array(20).fill(50), { framesPerSecond: 10 });
+    assert.deepStrictEqual(timeline.frames.map(frame => frame.sourceIndex), [0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+    assert.strictEqual(timeline.totalTicks, 20);
+    assert.strictEqual(timeline.droppedFrames, 10);
+});